@@ -1,21 +1,32 @@
+import { pathToFileURL } from 'node:url'
+import path from 'node:path'
 import { SlackBot } from './src/Bot.mjs'
+import { loadConfig, describeConfig } from './src/Config.mjs'
 import './src/Extensions.mjs'
+
+// Stores are loaded from a module whose default export is the store, a class that's constructed with the robot or a
+// function that takes the robot and returns one
+const loadStore = async (robot, modulePath, method) => {
+  const store = (await import(pathToFileURL(path.resolve(modulePath)))).default
+  if (typeof store?.prototype?.[method] === 'function') {
+    return new store(robot)
+  } else if (typeof store === 'function') {
+    return await store(robot)
+  }
+  return store
+}
+
 export default {
-  use (robot) {
-    let e
-    const options = {
-      appToken: process.env.HUBOT_SLACK_APP_TOKEN,
-      botToken: process.env.HUBOT_SLACK_BOT_TOKEN,
-      disableUserSync: (process.env.DISABLE_USER_SYNC != null),
-      apiPageSize: process.env.API_PAGE_SIZE,
-      installedTeamOnly: (process.env.INSTALLED_TEAM_ONLY != null)
+  async use (robot) {
+    const options = await loadConfig()
+    robot.logger.info(`hubot-slack configuration: ${JSON.stringify(describeConfig(options))}`)
+    if (options.installationStorePath) {
+      options.installationStore = await loadStore(robot, options.installationStorePath, 'fetchInstallation')
+      options.multiWorkspace = true
     }
-    try {
-      options.socketModeOptions = JSON.parse(process.env.HUBOT_SLACK_SOCKET_MODE_OPTS || '{}')
-    } catch (error) {
-      e = error
-      console.error(e)
+    if (options.tokenStorePath) {
+      options.tokenStore = await loadStore(robot, options.tokenStorePath, 'fetchTokens')
     }
     return new SlackBot(robot, options)
   }
-}
\ No newline at end of file
+}
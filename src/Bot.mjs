@@ -1,22 +1,59 @@
-import { Adapter, EnterMessage, LeaveMessage } from 'hubot'
-import { SlackTextMessage, ReactionMessage, FileSharedMessage } from './Message.mjs'
+import { Adapter, EnterMessage, LeaveMessage, User } from 'hubot'
+import { SlackTextMessage, ReactionMessage, FileSharedMessage, SlashCommandMessage, BlockActionMessage, ViewSubmissionMessage, ViewClosedMessage, ShortcutMessage, MessageShortcutMessage, AppHomeOpenedMessage, BlockSuggestionMessage, WorkflowFunctionMessage } from './Message.mjs'
 import { SocketModeClient } from '@slack/socket-mode' 
 import { WebClient } from '@slack/web-api'
+import { HttpReceiver } from './HttpReceiver.mjs'
+import { BrainInstallationStore } from './InstallationStore.mjs'
+import { SlackIdentity } from './SlackAdapter.mjs'
+import { DeferredAck } from './DeferredAck.mjs'
+import { EventDeduplicator } from './EventDeduplicator.mjs'
+import { BrainTokenStore, TokenRotator } from './TokenRotator.mjs'
+import { FEATURES, checkScopes, formatScopeReport } from './Scopes.mjs'
+import { ScheduledMessageStore } from './ScheduledMessages.mjs'
+import { ProcessingIndicator } from './ProcessingIndicator.mjs'
+import { splitText } from './MessageSplitter.mjs'
+import { OutgoingQueue } from './OutgoingQueue.mjs'
 import pkg from '../package.json' with { type: 'json' }
 
+/**
+ * Where a message the bot posted lives, to edit or delete it later
+ *
+ * @typedef {Object} MessageRef
+ * @property {string} channel - the conversation ID
+ * @property {string} ts - the message timestamp
+ */
+
 class SlackClient {
-  static CONVERSATION_CACHE_TTL_MS =
-    process.env.HUBOT_SLACK_CONVERSATION_CACHE_TTL_MS
-    ? parseInt(process.env.HUBOT_SLACK_CONVERSATION_CACHE_TTL_MS, 10)
-    : (5 * 60 * 1000);
+  static CONVERSATION_CACHE_TTL_MS = 5 * 60 * 1000;
+  // Slack shows at most this many characters of a message's text
+  static MAX_MESSAGE_LENGTH = 4000;
+  // Text longer than this is uploaded as a snippet instead of split into messages
+  static SNIPPET_THRESHOLD = 12000;
+  // chat.postEphemeral errors that mean the message has to go to the user as a DM
+  static EPHEMERAL_FALLBACK_ERRORS = ["user_not_in_channel", "not_in_channel", "channel_not_found"];
+  // Web API methods called through the outgoing queue, whose rate limits hold the queue back
+  static QUEUED_METHODS = ["chat.postMessage", "files.getUploadURLExternal", "files.completeUploadExternal"];
   constructor(options, robot, socket, web) {
     this.robot = robot;
     this.socket = socket ?? new SocketModeClient({ appToken: options.appToken, ...options.socketModeOptions });
-    this.web = web ?? new WebClient(options.botToken, { maxRequestConcurrency: 1, logLevel: 'error'});
+    this.webClientOptions = { agent: robot.config?.agent ?? undefined, maxRequestConcurrency: 1, logLevel: 'error'};
+    this.web = web ?? new WebClient(options.botToken, this.webClientOptions);
+    // When set, bot tokens for other workspaces are looked up here. See `installationFor()`.
+    this.installationStore = options.installationStore ?? null;
+    // Map of bot tokens to WebClients for workspaces other than the one `botToken` belongs to
+    this.webClients = new Map();
+    // The workspace (and Enterprise Grid org) `botToken` is installed in. Set once SlackBot has authenticated.
+    this.installedTeam = null;
     this.apiPageSize = 100;
     if (!isNaN(options.apiPageSize)) {
       this.apiPageSize = parseInt(options.apiPageSize, 10);
     }
+    this.conversationCacheTtlMs = options.conversationCacheTtlMs ?? SlackClient.CONVERSATION_CACHE_TTL_MS;
+    this.maxMessageLength = options.maxMessageLength ?? SlackClient.MAX_MESSAGE_LENGTH;
+    this.snippetThreshold = options.snippetThreshold ?? SlackClient.SNIPPET_THRESHOLD;
+    // Messages are paced per conversation and held back while Slack rate limits the bot. See `OutgoingQueue`.
+    this.queue = new OutgoingQueue(robot, { intervalMs: options.messageIntervalMs, maxBacklog: options.maxQueuedMessages });
+    this.watchRateLimits(this.web);
 
     this.robot.logger.debug(`SocketModeClient initialized with options: ${JSON.stringify(options.socketModeOptions) ?? ''}`);
 
@@ -31,14 +68,20 @@ class SlackClient {
 
     // Event handling
     // NOTE: add channel join and leave events
-    this.socket.on("authenticated", this.eventWrapper, this);
-    this.socket.on("message", this.eventWrapper, this);
-    this.socket.on("reaction_added", this.eventWrapper, this);
-    this.socket.on("reaction_removed", this.eventWrapper, this);
-    this.socket.on("member_joined_channel", this.eventWrapper, this);
-    this.socket.on("member_left_channel", this.eventWrapper, this);
-    this.socket.on("file_shared", this.eventWrapper, this);
-    this.socket.on("user_change", this.updateUserInBrain, this);
+    // Bind the handlers, because HttpReceiver is a Node EventEmitter, which doesn't take a context argument
+    const eventWrapper = this.eventWrapper.bind(this);
+    this.socket.on("authenticated", eventWrapper);
+    this.socket.on("message", eventWrapper);
+    this.socket.on("reaction_added", eventWrapper);
+    this.socket.on("reaction_removed", eventWrapper);
+    this.socket.on("member_joined_channel", eventWrapper);
+    this.socket.on("member_left_channel", eventWrapper);
+    this.socket.on("file_shared", eventWrapper);
+    this.socket.on("app_home_opened", eventWrapper);
+    this.socket.on("function_executed", eventWrapper);
+    this.socket.on("slash_commands", eventWrapper);
+    this.socket.on("interactive", eventWrapper);
+    this.socket.on("user_change", this.userChanged.bind(this));
     this.eventHandler = undefined;
   }
 
@@ -56,13 +99,62 @@ class SlackClient {
     return this.socket.removeAllListeners();
   }
 
-  async setTopic(conversationId, topic) {
+  /**
+   * Look up the installation for the workspace or Enterprise Grid org an event came from
+   *
+   * @public
+   * @param {InstallationQuery} [authorization] - as returned by `SlackBot.authorizationFor()`
+   * @returns {Promise<SlackIdentity|null>} null when there is no installation store or no matching installation
+   */
+  async installationFor(authorization) {
+    if (!this.installationStore || (authorization?.teamId == null && authorization?.enterpriseId == null)) {
+      return null;
+    }
+    try {
+      return (await this.installationStore.fetchInstallation(authorization)) ?? null;
+    } catch (error) {
+      this.robot.logger.error(error, `Error fetching installation for team ${authorization.teamId}, enterprise ${authorization.enterpriseId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get a WebClient that uses the installation's bot token, falling back to the default `botToken` client
+   *
+   * @public
+   * @param {SlackIdentity|null} installation
+   * @returns {WebClient}
+   */
+  webForInstallation(installation) {
+    const token = installation?.bot_token;
+    if (!token || token === this.web.token) {
+      return this.web;
+    }
+    if (!this.webClients.has(token)) {
+      const web = new WebClient(token, this.webClientOptions);
+      this.watchRateLimits(web);
+      this.webClients.set(token, web);
+    }
+    return this.webClients.get(token);
+  }
+
+  /**
+   * @public
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<WebClient>}
+   */
+  async webFor(authorization) {
+    return this.webForInstallation(await this.installationFor(authorization));
+  }
+
+  async setTopic(conversationId, topic, authorization) {
     this.robot.logger.debug(`SlackClient#setTopic() with topic ${topic}`);
     try {
-      const res = await this.web.conversations.info({channel: conversationId})
+      const web = await this.webFor(authorization);
+      const res = await web.conversations.info({channel: conversationId})
       const conversation = res.channel;
       if (!conversation.is_im && !conversation.is_mpim) {
-        return this.web.conversations.setTopic({channel: conversationId, topic});
+        return web.conversations.setTopic({channel: conversationId, topic});
       } else {
         return this.robot.logger.debug(`Conversation ${conversationId} is a DM or MPDM. These conversation types do not have topics.`);
       }
@@ -70,28 +162,357 @@ class SlackClient {
       this.robot.logger.error(error, `Error setting topic in conversation ${conversationId}: ${error.message}`);
     }
   }
-  async send(envelope, message) {
+  /**
+   * Open a modal
+   *
+   * @public
+   * @param {string} triggerId - the `trigger_id` of the action that opens the modal
+   * @param {Object} view - the view
+   * @param {InstallationQuery} [authorization] - the workspace to open it in
+   * @returns {Promise<Object>} the `views.open` response
+   */
+  async openView(triggerId, view, authorization) {
+    const web = await this.webFor(authorization);
+    return web.views.open({ trigger_id: triggerId, view });
+  }
+
+  /**
+   * Push a view onto the stack of an open modal
+   *
+   * @public
+   * @param {string} triggerId - the `trigger_id` of an action in the open modal
+   * @param {Object} view - the view
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `views.push` response
+   */
+  async pushView(triggerId, view, authorization) {
+    const web = await this.webFor(authorization);
+    return web.views.push({ trigger_id: triggerId, view });
+  }
+
+  /**
+   * Replace a view that is open. Doesn't need a `trigger_id`.
+   *
+   * @public
+   * @param {Object} view - the new view
+   * @param {Object} target - which view to replace
+   * @param {string} [target.viewId] - the ID of the view
+   * @param {string} [target.externalId] - the `external_id` the view was opened with
+   * @param {string} [target.hash] - the view's hash, to make sure it hasn't changed since
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `views.update` response
+   */
+  async updateView(view, { viewId, externalId, hash } = {}, authorization) {
+    const web = await this.webFor(authorization);
+    return web.views.update({ view, view_id: viewId, external_id: externalId, hash });
+  }
+
+  /**
+   * @public
+   * @param {string} conversationId
+   * @param {string} ts - the message timestamp
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<string|undefined>} a link to the message, or undefined if it couldn't be fetched
+   */
+  async getPermalink(conversationId, ts, authorization) {
+    try {
+      const web = await this.webFor(authorization);
+      const res = await web.chat.getPermalink({ channel: conversationId, message_ts: ts });
+      return res.permalink;
+    } catch (error) {
+      this.robot.logger.error(error, `Error getting the permalink of message ${ts} in conversation ${conversationId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a user's Home tab
+   *
+   * @public
+   * @param {string} userId
+   * @param {Object} view - a view of type `home`
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `views.publish` response
+   */
+  async publishView(userId, view, authorization) {
+    const web = await this.webFor(authorization);
+    return web.views.publish({ user_id: userId, view });
+  }
+
+  /**
+   * Finish a run of a custom workflow step
+   *
+   * @public
+   * @param {string} executionId - the `function_execution_id` of the run
+   * @param {Object} result
+   * @param {Object} [result.outputs] - the step's outputs, keyed by output name
+   * @param {string} [result.error] - why the step failed; the run fails when this is set
+   * @param {string} [result.token] - the `bot_access_token` of the run
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `functions.completeSuccess` or `functions.completeError` response
+   */
+  async completeFunction(executionId, { outputs, error, token } = {}, authorization) {
+    const web = await this.webFor(authorization);
+    if (error != null) {
+      return web.functions.completeError({ token, function_execution_id: executionId, error });
+    }
+    return web.functions.completeSuccess({ token, function_execution_id: executionId, outputs: outputs ?? {} });
+  }
+
+  /**
+   * Post a message. Text longer than `maxMessageLength` is posted as several messages, split between lines; text longer
+   * than `snippetThreshold` is uploaded as a snippet. Messages with `blocks` or `attachments` are posted as they are.
+   *
+   * @public
+   * @param {Object} envelope
+   * @param {string} envelope.room - the conversation to post in
+   * @param {string} [envelope.thread_ts] - the thread to post in, instead of the thread of `envelope.message`
+   * @param {Message} [envelope.message] - the message being answered; answers stay in its thread
+   * @param {string|Object} message - a string, or a message object with `text`, `blocks` or other `chat.postMessage`
+   * arguments such as `reply_broadcast`
+   * @param {Object} [options]
+   * @param {boolean} [options.snippets] - false when the bot can't upload files (no `files:write`)
+   * @returns {Promise<MessageRef|undefined>} where the message was posted, or undefined if sending failed. A split
+   * message resolves with its first part, and all parts in `parts`; a snippet with the ID of the file in `file`.
+   * Text that can't be uploaded as a snippet is split instead.
+   */
+  async send(envelope, message, options = {}) {
     const room = envelope.room || envelope.id;
-    const thread_ts = envelope.message?.thread_ts
+    const thread_ts = envelope.thread_ts ?? envelope.message?.thread_ts
     if (room == null) {
       this.robot.logger.error("Cannot send message without a valid room. Envelopes should contain a room property set to a Slack conversation ID.");
       return;
     }
     this.robot.logger.debug(`SlackClient#send() room: ${room}, message: ${message}`);
+    const text = typeof message === "string" ? message : message.text;
     const messageOptions = {
       channel: room,
-      text: typeof message === "string" ? message : message.text,
+      text,
       thread_ts, // Include thread_ts if it's defined
-      ...message, // Spread other properties from the message if it's an object
+      ...(typeof message === "string" ? {} : message), // Spread other properties from the message if it's an object
     };
+    // Blocks and attachments can't be split, their text is only a fallback
+    const isPlainText = typeof text === "string" && messageOptions.blocks == null && messageOptions.attachments == null;
   
+    // Queue every part before waiting for anything, so messages sent one after another keep their order. A failure to
+    // get the client is handled when a queued send awaits it.
+    const web = this.webFor(envelope.message?.authorization);
+    web.catch(() => {});
     try {
-      const result = await this.web.chat.postMessage(messageOptions);
-      this.robot.logger.debug(`Successfully sent message to ${room}`);
+      if (isPlainText && options.snippets !== false && this.snippetThreshold > 0 && text.length > this.snippetThreshold) {
+        try {
+          return await this.queue.enqueue(room, async () => this.uploadSnippet(await web, room, thread_ts, text));
+        } catch (e) {
+          this.robot.logger.warn(`Could not upload the message to ${room} as a snippet, posting it in parts instead: ${e.message}`);
+        }
+      }
+      const parts = isPlainText ? splitText(text, this.maxMessageLength) : [text];
+      const results = await Promise.all(parts.map(part => this.queue.enqueue(room, async () => {
+        return (await web).chat.postMessage({ ...messageOptions, text: part });
+      })));
+      const refs = results.map(result => ({ channel: result?.channel ?? room, ts: result?.ts }));
+      this.robot.logger.debug(`Successfully sent message to ${room}${parts.length > 1 ? ` in ${parts.length} parts` : ""}`);
+      return refs.length === 1 ? refs[0] : { ...refs[0], parts: refs };
     } catch (e) {
       this.robot.logger.error(e, `SlackClient#send() error: ${e.message}`);
     }
   }
+
+  /**
+   * Hold the outgoing queue back while a WebClient waits out a rate limit on posting messages or uploading snippets.
+   * Only the conversation the call was for is held back, or every conversation for an upload that doesn't name one.
+   * Slack rate limits each method separately, so limits on other methods don't hold messages back. The WebClient
+   * retries the call itself.
+   *
+   * @private
+   * @param {WebClient} web
+   */
+  watchRateLimits(web) {
+    web.on?.("rate_limited", (retrySec, { url, body } = {}) => {
+      // File contents are uploaded to a URL instead of a method
+      if (SlackClient.QUEUED_METHODS.includes(url) || url?.includes("://")) {
+        this.queue.rateLimited(retrySec * 1000, body?.channel ?? body?.channel_id);
+      }
+    });
+  }
+
+  /**
+   * Upload text as a snippet into a conversation or thread, for text too long to read as messages
+   *
+   * @private
+   * @param {WebClient} web
+   * @param {string} room
+   * @param {string} [thread_ts]
+   * @param {string} text
+   * @returns {Promise<MessageRef>} with the ID of the file in `file`; the message that shares it has no known `ts`
+   */
+  async uploadSnippet(web, room, thread_ts, text) {
+    this.robot.logger.debug(`Uploading a ${text.length} character message to ${room} as a snippet`);
+    const res = await web.filesUploadV2({ channel_id: room, thread_ts, content: text, filename: "message.txt", snippet_type: "text" });
+    return { channel: room, ts: undefined, file: res.files?.[0]?.files?.[0]?.id };
+  }
+
+  /**
+   * @public
+   * @param {string} channel
+   * @param {string} ts - the timestamp of the message to react to
+   * @param {string} emoji - the emoji name, with or without colons
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<void>}
+   */
+  async addReaction(channel, ts, emoji, authorization) {
+    const web = await this.webFor(authorization);
+    try {
+      await web.reactions.add({ channel, timestamp: ts, name: SlackClient.emojiName(emoji) });
+    } catch (e) {
+      if (e.data?.error !== "already_reacted") throw e;
+    }
+  }
+
+  /**
+   * @public
+   * @param {string} channel
+   * @param {string} ts - the timestamp of the message the reaction is on
+   * @param {string} emoji - the emoji name, with or without colons
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<void>}
+   */
+  async removeReaction(channel, ts, emoji, authorization) {
+    const web = await this.webFor(authorization);
+    try {
+      await web.reactions.remove({ channel, timestamp: ts, name: SlackClient.emojiName(emoji) });
+    } catch (e) {
+      if (e.data?.error !== "no_reaction") throw e;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} emoji - such as `:eyes:` or `eyes`
+   * @returns {string} the name without colons
+   */
+  static emojiName(emoji) {
+    return emoji.replace(/^:|:$/g, "");
+  }
+
+  /**
+   * Replace the content of a message the bot posted
+   *
+   * @public
+   * @param {MessageRef} ref - the message, as returned by `send()`
+   * @param {string|Object} message - a string, or a message object with `text` and/or `blocks`
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<MessageRef>}
+   */
+  async updateMessage(ref, message, authorization) {
+    const body = typeof message === "string" ? { text: message } : message;
+    const web = await this.webFor(authorization);
+    const result = await web.chat.update({ channel: ref.channel, ts: ref.ts, ...body });
+    return { channel: result?.channel ?? ref.channel, ts: result?.ts ?? ref.ts };
+  }
+
+  /**
+   * Delete a message the bot posted
+   *
+   * @public
+   * @param {MessageRef} ref - the message, as returned by `send()`
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `chat.delete` response
+   */
+  async deleteMessage(ref, authorization) {
+    const web = await this.webFor(authorization);
+    return web.chat.delete({ channel: ref.channel, ts: ref.ts });
+  }
+  /**
+   * Send a message only the user in the envelope can see, in the envelope's conversation and thread. Slack refuses
+   * ephemeral messages when the user (or the bot) isn't in the conversation; the message is sent as a DM then.
+   *
+   * @public
+   * @param {Object} envelope - with `room`, `user` and the `message` being answered
+   * @param {string|Object} message - a string, or a message object with `text` and/or `blocks`
+   * @param {Object} [options]
+   * @param {boolean} [options.dmFallback] - false when the bot can't open DMs (no `im:write`)
+   * @returns {Promise<Object|undefined>} the `chat.postEphemeral` or fallback `chat.postMessage` response, or undefined
+   * if sending failed
+   */
+  async sendEphemeral(envelope, message, options = {}) {
+    const room = envelope.room;
+    const user = envelope.user?.id;
+    if (room == null || user == null) {
+      this.robot.logger.error("Cannot send an ephemeral message without a room and a user in the envelope.");
+      return;
+    }
+    const body = typeof message === "string" ? { text: message } : message;
+    let web;
+    try {
+      web = await this.webFor(envelope.message?.authorization);
+      return await web.chat.postEphemeral({ channel: room, user, thread_ts: envelope.thread_ts ?? envelope.message?.thread_ts, ...body });
+    } catch (e) {
+      if (!SlackClient.EPHEMERAL_FALLBACK_ERRORS.includes(e.data?.error)) {
+        this.robot.logger.error(e, `SlackClient#sendEphemeral() error: ${e.message}`);
+        return;
+      }
+      if (options.dmFallback === false) {
+        this.robot.logger.error(`Cannot send an ephemeral message to ${user} in ${room} (${e.data.error}), and sending it as a DM is turned off. See the scope report logged at startup.`);
+        return;
+      }
+      this.robot.logger.debug(`Cannot send an ephemeral message to ${user} in ${room} (${e.data.error}), sending a DM instead`);
+    }
+    try {
+      const { channel } = await web.conversations.open({ users: user });
+      return await web.chat.postMessage({ channel: channel.id, ...body });
+    } catch (e) {
+      this.robot.logger.error(e, `SlackClient#sendEphemeral() error sending the DM to ${user}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Schedule a message for Slack to post later, in the envelope's conversation and thread
+   *
+   * @public
+   * @param {Object} envelope - with `room` and the `message` being answered
+   * @param {string|Object} message - a string, or a message object with `text` and/or `blocks`
+   * @param {number} postAt - when to post it, in seconds since the epoch
+   * @returns {Promise<Object>} the `chat.scheduleMessage` response, with `scheduled_message_id`
+   */
+  async scheduleMessage(envelope, message, postAt) {
+    const body = typeof message === "string" ? { text: message } : message;
+    const web = await this.webFor(envelope.message?.authorization);
+    return web.chat.scheduleMessage({ channel: envelope.room, post_at: postAt, thread_ts: envelope.thread_ts ?? envelope.message?.thread_ts, ...body });
+  }
+
+  /**
+   * List the messages the app has scheduled, following every page
+   *
+   * @public
+   * @param {Object} [filter]
+   * @param {string} [filter.channel] - only messages for this conversation
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object[]>} the `scheduled_messages` of every page
+   */
+  async listScheduledMessages({ channel } = {}, authorization) {
+    const web = await this.webFor(authorization);
+    const messages = [];
+    let cursor;
+    do {
+      const res = await web.chat.scheduledMessages.list({ channel, cursor, limit: this.apiPageSize });
+      messages.push(...(res.scheduled_messages ?? []));
+      cursor = res.response_metadata?.next_cursor;
+    } while (cursor);
+    return messages;
+  }
+
+  /**
+   * @public
+   * @param {string} channel - the conversation the message was scheduled in
+   * @param {string} id - the `scheduled_message_id`
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `chat.deleteScheduledMessage` response
+   */
+  async deleteScheduledMessage(channel, id, authorization) {
+    const web = await this.webFor(authorization);
+    return web.chat.deleteScheduledMessage({ channel, scheduled_message_id: id });
+  }
+
   loadUsers(callback) {
     const combinedResults = { members: [] };
     var pageLoaded = (error, results) => {
@@ -115,20 +536,41 @@ class SlackClient {
     return this.web.users.list({ limit: this.apiPageSize }, pageLoaded);
   }
 
-  async fetchUser(userId) {
+  /**
+   * Look up a user, with the token of the workspace the message came from
+   *
+   * @public
+   * @param {string} userId
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>}
+   */
+  async fetchUser(userId, authorization) {
     if (this.robot.brain.data.users[userId] != null) { return Promise.resolve(this.robot.brain.data.users[userId]); }
-    const r = await this.web.users.info({user: userId});
+    const web = await this.webFor(authorization);
+    const r = await web.users.info({user: userId});
     this.updateUserInBrain(r.user);
     return r.user;
   }
-  async fetchConversation(conversationId) {
-    const expiration = Date.now() - SlackClient.CONVERSATION_CACHE_TTL_MS;
-    if (((this.channelData[conversationId] != null ? this.channelData[conversationId].channel : undefined) != null) &&
-      (expiration < (this.channelData[conversationId] != null ? this.channelData[conversationId].updated : undefined))) { return Promise.resolve(this.channelData[conversationId].channel); }
-    if (this.channelData[conversationId] != null) { delete this.channelData[conversationId]; }
-    const r = await this.web.conversations.info({channel: conversationId})
+
+  /**
+   * Look up a conversation, with the token of the workspace the message came from. Conversations are cached per
+   * workspace for `conversationCacheTtlMs`.
+   *
+   * @public
+   * @param {string} conversationId
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>}
+   */
+  async fetchConversation(conversationId, authorization) {
+    const key = authorization?.teamId != null ? `${authorization.teamId}:${conversationId}` : conversationId;
+    const expiration = Date.now() - this.conversationCacheTtlMs;
+    if (((this.channelData[key] != null ? this.channelData[key].channel : undefined) != null) &&
+      (expiration < (this.channelData[key] != null ? this.channelData[key].updated : undefined))) { return Promise.resolve(this.channelData[key].channel); }
+    if (this.channelData[key] != null) { delete this.channelData[key]; }
+    const web = await this.webFor(authorization);
+    const r = await web.conversations.info({channel: conversationId})
     if (r.channel != null) {
-      this.channelData[conversationId] = {
+      this.channelData[key] = {
         channel: r.channel,
         updated: Date.now()
       };
@@ -145,6 +587,7 @@ class SlackClient {
       slack: {}
     };
     if ((user.profile != null ? user.profile.email : undefined) != null) { newUser.email_address = user.profile.email; }
+    if (this.installedTeam != null) { newUser.is_external = this.isExternalUser(user); }
     for (key in user) {
       value = user[key];
       newUser.slack[key] = value;
@@ -160,6 +603,53 @@ class SlackClient {
     delete this.robot.brain.data.users[user.id];
     return this.robot.brain.userForId(user.id, newUser);
   }
+  /**
+   * Whether a team belongs to another organization than the installing team, e.g. a vendor in a Slack Connect shared
+   * channel. Workspaces in the same Enterprise Grid org are not external.
+   *
+   * @public
+   * @param {Object} team
+   * @param {string} [team.teamId] - the team to check
+   * @param {string} [team.enterpriseId] - the Enterprise Grid org of the team to check, if known
+   * @param {InstallationQuery} [installed] - the installing team, defaults to the team `botToken` belongs to
+   * @returns {boolean}
+   */
+  isExternalTeam({ teamId, enterpriseId }, installed = this.installedTeam) {
+    if (teamId == null || installed == null) return false;
+    if (installed.teamId == null && installed.enterpriseId == null) return false;
+    if (teamId === installed.teamId) return false;
+    return !(enterpriseId != null && enterpriseId === installed.enterpriseId);
+  }
+
+  /**
+   * @public
+   * @param {SlackUserInfo} user - a user as returned by `users.info`
+   * @param {InstallationQuery} [installed]
+   * @returns {boolean}
+   */
+  isExternalUser(user, installed) {
+    return this.isExternalTeam({
+      teamId: user?.team_id ?? user?.profile?.team,
+      enterpriseId: user?.enterprise_user?.enterprise_id
+    }, installed);
+  }
+
+  /**
+   * Acknowledge a `user_change` event and update the user in the brain. Unanswered events are retried by Slack, and
+   * over HTTP the request is left hanging.
+   *
+   * @private
+   * @param {Object} message - the socket payload
+   */
+  async userChanged(message) {
+    try {
+      await message.ack?.();
+    } catch (error) {
+      this.robot.logger.error(error, `Error acknowledging the user_change event: ${error.message}`);
+    }
+    this.updateUserInBrain(message.event ?? message);
+  }
+
   async eventWrapper(event) {
     if(!this.eventHandler) return;
     try {
@@ -170,18 +660,68 @@ class SlackClient {
   }
 }
 
-if (SlackClient.CONVERSATION_CACHE_TTL_MS === NaN) {
-  throw new Error('HUBOT_SLACK_CONVERSATION_CACHE_TTL_MS must be a number. It could not be parsed.');
-}
-
 class SlackBot extends Adapter {
+  static CONNECTION_STATES = ["connecting", "connected", "reconnecting", "disconnected"];
+  static SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+  // Interactive payloads that are answered with options in the acknowledgement
+  static OPTIONS_REQUESTS = ["block_suggestion", "dialog_suggestion"];
   constructor(robot, options) {
     super(robot);
     this.options = options;
     this.robot.logger.info(`hubot-slack adapter v${pkg.version}`);
-    this.socket = options.socket ?? new SocketModeClient({ appToken: options.appToken, ...options.socketModeOptions });
+    this.socket = options.socket ?? SlackBot.createReceiver(robot, options);
+    if (options.multiWorkspace && !options.installationStore) {
+      this.options.installationStore = new BrainInstallationStore(robot.brain);
+    }
+    this.installationStore = this.options.installationStore ?? null;
+    // Features are turned off at startup when the bot token lacks the scopes they need. See `checkScopes()`.
+    this.features = Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, true]));
     this.web = new WebClient(options.botToken, { agent: robot.config?.agent ?? undefined, maxRequestConcurrency: 1, logLevel: 'error'});
+    // Bot tokens with token rotation turned on expire and are refreshed in place. See `TokenRotator`.
+    this.tokenRotator = null;
+    // Settles once the rotator has the latest token. See `run()`.
+    this.tokensReady = null;
+    if (options.refreshToken) {
+      this.tokenRotator = new TokenRotator(robot, {
+        clientId: options.clientId,
+        clientSecret: options.clientSecret,
+        tokens: { token: options.botToken, refreshToken: options.refreshToken },
+        store: options.tokenStore ?? new BrainTokenStore(robot.brain)
+      });
+      this.tokenRotator.attach(this.web);
+    }
     this.client = new SlackClient(this.options, this.robot, this.socket, this.web);
+    // One of CONNECTION_STATES. See `setConnectionState()`.
+    this.connectionState = "disconnected";
+    this.hasConnected = false;
+    this.disconnectedAt = null;
+    // Event handler runs and outgoing messages that shutdown waits for. See `close()`.
+    this.pending = new Set();
+    this.acceptingEvents = true;
+    this.closing = null;
+    this.deduplicator = new EventDeduplicator({ windowMs: options.dedupeWindowMs });
+    this.scheduledMessages = new ScheduledMessageStore(robot.brain);
+    this.processingIndicator = options.processingReactions ? new ProcessingIndicator(this, {
+      processing: options.processingEmoji,
+      success: options.successEmoji,
+      failure: options.failureEmoji
+    }) : null;
+  }
+
+  /**
+   * Create the client that events are received from, either a Socket Mode websocket or an Events API endpoint mounted
+   * on `robot.router`
+   *
+   * @private
+   * @param {Robot} robot
+   * @param {Object} options - the adapter options
+   * @returns {SocketModeClient|HttpReceiver}
+   */
+  static createReceiver(robot, options) {
+    if (options.receiver === "http") {
+      return new HttpReceiver(robot, { signingSecret: options.signingSecret, path: options.eventsPath });
+    }
+    return new SocketModeClient({ appToken: options.appToken, ...options.socketModeOptions });
   }
 
   async run() {
@@ -189,23 +729,37 @@ class SlackBot extends Adapter {
       return this.robot.logger.error("No botToken provided to Hubot");
     }
 
-    if (!this.options.appToken) {
+    if (this.options.receiver === "http") {
+      if (!this.options.signingSecret) {
+        return this.robot.logger.error("No signingSecret provided to Hubot");
+      }
+    } else if (!this.options.appToken) {
       return this.robot.logger.error("No appToken provided to Hubot");
     }
-    const needle = this.options.botToken.substring(0, 5);
+    const needle = this.options.botToken.replace(/^xoxe\./, "").substring(0, 5);
     if (!["xoxb-", "xoxp-"].includes(needle)) {
       return this.robot.logger.error("Invalid botToken provided, please follow the upgrade instructions");
     }
 
-    if (!["xapp-"].includes(this.options.appToken.substring(0, 5))) {
+    if (this.options.receiver !== "http" && !["xapp-"].includes(this.options.appToken.substring(0, 5))) {
       return this.robot.logger.error("Invalid appToken provided, please follow the upgrade instructions");
     }
 
-    this.client.socket.on("open", this.open.bind(this));
+    this.client.socket.on("connecting", this.onSocketConnecting.bind(this));
+    this.client.socket.on("reconnecting", this.onSocketReconnecting.bind(this));
+    this.client.socket.on("connected", this.onSocketConnected.bind(this));
     this.client.socket.on("close", this.onSocketClose.bind(this));
+    this.client.socket.on("disconnected", this.onSocketDisconnected.bind(this));
     this.client.socket.on("error", this.error.bind(this));
     this.client.socket.on("authenticated", this.authenticated.bind(this));
-    this.client.onEvent(this.eventHandler.bind(this));
+    this.client.onEvent(this.receiveEvent.bind(this));
+
+    if (this.tokenRotator) {
+      this.robot.on("slack:token_rotated", this.tokenRotated.bind(this));
+      // Not awaited: a brain-backed token store is only loaded after the connection is up. `authenticated()` waits.
+      this.tokensReady = this.tokenRotator.start();
+    }
+    this.processingIndicator?.install();
     
     // Brain will emit 'loaded' the first time it connects to its storage and then again each time a key is set
     this.robot.brain.on("loaded", () => {
@@ -219,14 +773,13 @@ class SlackBot extends Adapter {
       // NOTE: is this actually true? won't the brain have the users in memory and persist to storage as soon as the
       // connection is complete?
       // NOTE: this seems wasteful. when there is brain storage, it will end up loading all the users twice.
+      if (!this.features.users) return;
       this.client.loadUsers(this.usersLoaded.bind(this));
       this.isLoaded = true;
     });
 
-    // TODO: set this to false as soon as connection closes (even if reconnect will happen later)
-    // TODO: check this value when connection finishes (even if its a reconnection)
-    // TODO: build a map of enterprise users and local users
-    this.needsUserListSync = true;
+    // Set again whenever the connection drops, because user changes are missed while disconnected. See `resync()`.
+    this.needsUserListSync = false;
     if (!this.options.disableUserSync) {
       // Synchronize workspace users to brain
       this.client.loadUsers(this.usersLoaded.bind(this));
@@ -234,11 +787,6 @@ class SlackBot extends Adapter {
       this.brainIsLoaded = true;
     }
 
-    this.client.socket.on('connected', () => {
-      this.emit('connected');
-      this.robot.emit('connected')
-    });
-
     // Start logging in
     await this.client.connect()
     this.robot.logger.info('Connected to Slack on run');
@@ -250,6 +798,7 @@ class SlackBot extends Adapter {
    * @public
    * @param {Object} envelope - fully documented in SlackClient
    * @param {...(string|Object)} messages - fully documented in SlackClient
+   * @returns {Promise<Array<MessageRef|undefined>>} where each message was posted, undefined for messages that failed
    */
   async send(envelope, ...messages) {
     
@@ -258,10 +807,11 @@ class SlackBot extends Adapter {
     if (typeof(messages[messages.length - 1]) === "function") {
       callback = messages.pop();
     }
+    envelope = this.threadedEnvelope(envelope);
     const messagePromises = messages.map(message => {
       if (typeof(message) === "function") { return Promise.resolve(); }
       // NOTE: perhaps do envelope manipulation here instead of in the client (separation of concerns)
-      if (message !== "") { return this.client.send(envelope, message); }
+      if (message !== "") { return this.track(this.client.send(envelope, message, { snippets: this.features.snippets })); }
     });
     let results = [];
     try {
@@ -274,11 +824,110 @@ class SlackBot extends Adapter {
     return results;
   }
 
+  /**
+   * Hubot is replying in the thread of the message it's answering, starting a thread on a top-level message
+   *
+   * @public
+   * @param {Object} envelope - fully documented in SlackClient
+   * @param {...(string|Object)} messages - fully documented in SlackClient; add `reply_broadcast: true` to a message
+   * object to also post it to the channel
+   * @returns {Promise<Array<MessageRef|undefined>>} where each message was posted, undefined for messages that failed
+   */
+  async replyInThread(envelope, ...messages) {
+    const thread_ts = envelope.thread_ts ?? SlackBot.threadTsFor(envelope.message);
+    if (thread_ts == null) {
+      this.robot.logger.debug(`There is no message to start a thread on in ${envelope.room}, sending to the conversation`);
+    }
+    return this.send({ ...envelope, thread_ts }, ...messages);
+  }
+
+  /**
+   * The envelope to send answers with. With `autoThread` on, answers to a message in a channel go into its thread.
+   * DMs and messages sent without a message to answer, such as `robot.messageRoom()`, are left alone.
+   *
+   * @private
+   * @param {Object} envelope
+   * @returns {Object}
+   */
+  threadedEnvelope(envelope) {
+    if (!this.options.autoThread || envelope.thread_ts != null || envelope.message == null || SlackBot.isDirectConversation(envelope)) {
+      return envelope;
+    }
+    const thread_ts = SlackBot.threadTsFor(envelope.message);
+    return thread_ts == null ? envelope : { ...envelope, thread_ts };
+  }
+
+  /**
+   * The thread a message belongs to, or its own timestamp when it's a top-level message
+   *
+   * @private
+   * @param {Message} [message]
+   * @returns {string|undefined}
+   */
+  static threadTsFor(message) {
+    const ts = message?.thread_ts ?? message?.message_ts ?? message?.id;
+    return typeof ts === "string" ? ts : undefined;
+  }
+
+  /**
+   * @private
+   * @param {Object} envelope
+   * @returns {boolean} true if the envelope is for a DM or group DM
+   */
+  static isDirectConversation(envelope) {
+    const channelType = envelope.message?.rawMessage?.channel_type;
+    if (channelType != null) {
+      return channelType === "im" || channelType === "mpim";
+    }
+    return envelope.room?.[0] === "D";
+  }
+
+  /**
+   * Edit a message the bot sent. Errors are thrown, for example when the message was deleted.
+   *
+   * @public
+   * @param {MessageRef} ref - as returned by `send()` or `reply()`
+   * @param {string|Object} message - the new content, fully documented in SlackClient
+   * @param {InstallationQuery} [authorization] - the workspace, defaults to the one `botToken` belongs to
+   * @returns {Promise<MessageRef>}
+   */
+  async updateMessage(ref, message, authorization) {
+    return this.track(this.client.updateMessage(ref, message, authorization));
+  }
+
+  /**
+   * Delete a message the bot sent. Errors are thrown.
+   *
+   * @public
+   * @param {MessageRef} ref - as returned by `send()` or `reply()`
+   * @param {InstallationQuery} [authorization] - the workspace, defaults to the one `botToken` belongs to
+   * @returns {Promise<Object>} the `chat.delete` response
+   */
+  async deleteMessage(ref, authorization) {
+    return this.track(this.client.deleteMessage(ref, authorization));
+  }
+
+  /**
+   * Hubot is sending messages only the user in the envelope can see
+   * @public
+   * @param {Object} envelope - fully documented in SlackClient
+   * @param {...(string|Object)} messages - fully documented in SlackClient
+   */
+  async sendEphemeral(envelope, ...messages) {
+    const results = [];
+    for (const message of messages) {
+      if (typeof(message) === "function" || message === "") { continue; }
+      results.push(await this.track(this.client.sendEphemeral(envelope, message, { dmFallback: this.features.ephemeralDms })));
+    }
+    return results;
+  }
+
   /**
    * Hubot is replying to a Slack message
    * @public
    * @param {Object} envelope - fully documented in SlackClient
    * @param {...(string|Object)} messages - fully documented in SlackClient
+   * @returns {Promise<Array<MessageRef|undefined>>} where each message was posted, undefined for messages that failed
    */
   async reply(envelope, ...messages) {
     this.robot.logger.debug('replying to message');
@@ -286,15 +935,16 @@ class SlackBot extends Adapter {
     if (typeof(messages[messages.length - 1]) === "function") {
       callback = messages.pop();
     }
+    envelope = this.threadedEnvelope(envelope);
     const messagePromises = messages.map(message => {
       if (typeof(message) === "function") { 
         return Promise.resolve();
       }
 
       if (message !== "") {
-        // TODO: channel prefix matching should be removed
-        if (envelope.room[0] !== "D") { message = `<@${envelope.user.id}>: ${message}`; }
-        return this.client.send(envelope, message);
+        // Replies in a thread are addressed by the thread, so they don't mention the user
+        if (envelope.thread_ts == null && !SlackBot.isDirectConversation(envelope)) { message = `<@${envelope.user.id}>: ${message}`; }
+        return this.track(this.client.send(envelope, message, { snippets: this.features.snippets }));
       }
     });
     let results = [];
@@ -309,33 +959,318 @@ class SlackBot extends Adapter {
   }
 
   /**
-   * Hubot is setting the Slack conversation topic
+   * Schedule messages for Slack to post later, in the envelope's conversation and thread. Slack posts them even if the
+   * bot isn't running then. The scheduled messages are remembered in the brain, see `scheduledMessages`. Errors are
+   * thrown, for example when the time is in the past or more than 120 days ahead.
+   *
    * @public
    * @param {Object} envelope - fully documented in SlackClient
-   * @param {...string} strings - strings that will be newline separated and set to the conversation topic
+   * @param {Date|number|string} date - when to post, as a Date, milliseconds since the epoch or a date string
+   * @param {...(string|Object)} messages - fully documented in SlackClient
+   * @returns {Promise<ScheduledMessage[]>}
    */
-  async setTopic(envelope, ...strings) {
-    return await this.client.setTopic(envelope.room, strings.join("\n"));
+  async scheduleMessage(envelope, date, ...messages) {
+    const postAt = new Date(date).getTime();
+    if (Number.isNaN(postAt)) {
+      throw new Error(`Cannot schedule a message at ${date}, which is not a valid date`);
+    }
+    const scheduled = [];
+    for (const message of messages) {
+      if (typeof(message) === "function" || message === "") { continue; }
+      const res = await this.track(this.client.scheduleMessage(envelope, message, Math.floor(postAt / 1000)));
+      const record = {
+        id: res.scheduled_message_id,
+        channel: res.channel ?? envelope.room,
+        postAt: (res.post_at ?? Math.floor(postAt / 1000)) * 1000,
+        thread_ts: envelope.thread_ts ?? envelope.message?.thread_ts,
+        text: typeof message === "string" ? message : message.text,
+        authorization: envelope.message?.authorization
+      };
+      this.scheduledMessages.add(record);
+      scheduled.push(record);
+    }
+    return scheduled;
   }
 
   /**
-   * Hubot is sending a reaction
-   * NOTE: the super class implementation is just an alias for send, but potentially, we can detect
-   * if the envelope has a specific message and send a reactji. the fallback would be to just send the
-   * emoji as a message in the channel
+   * List the messages scheduled in a workspace, including ones scheduled by earlier runs or other code. Use
+   * `scheduledMessages.list()` for the ones this bot scheduled.
+   *
+   * @public
+   * @param {Object} [filter]
+   * @param {string} [filter.channel] - only messages for this conversation
+   * @param {InstallationQuery} [authorization] - the workspace, defaults to the one `botToken` belongs to
+   * @returns {Promise<Object[]>} Slack's scheduled messages, with `id`, `channel_id`, `post_at` and `text`
    */
-  // emote: (envelope, strings...) ->
-
+  async listScheduledMessages(filter, authorization) {
+    return this.client.listScheduledMessages(filter, authorization);
+  }
 
   /**
-   * Slack client has opened the connection
-   * @private
+   * Cancel a scheduled message and forget it. Slack can't cancel a message in the last minute before it's posted.
+   *
+   * @public
+   * @param {string} id - the `scheduled_message_id`
+   * @param {Object} [target] - where the message was scheduled, needed for messages the brain doesn't know about
+   * @param {string} [target.channel]
+   * @param {InstallationQuery} [target.authorization]
+   * @returns {Promise<void>}
+   */
+  async cancelScheduledMessage(id, target = {}) {
+    const known = this.scheduledMessages.get(id);
+    const channel = target.channel ?? known?.channel;
+    if (channel == null) {
+      throw new Error(`Cannot cancel scheduled message ${id} without knowing its channel`);
+    }
+    try {
+      await this.client.deleteScheduledMessage(channel, id, target.authorization ?? known?.authorization);
+    } catch (error) {
+      // Already posted or cancelled elsewhere, so there's nothing left to remember
+      if (error.data?.error === "invalid_scheduled_message_id") {
+        this.scheduledMessages.remove(id);
+      }
+      throw error;
+    }
+    this.scheduledMessages.remove(id);
+  }
+
+  /**
+   * Open a modal. Errors are thrown, because the caller usually needs to tell the user.
+   *
+   * @public
+   * @param {string} triggerId - the `trigger_id` from a slash command, shortcut or action, valid for 3 seconds
+   * @param {Object} view - the view
+   * @param {InstallationQuery} [authorization] - the workspace, defaults to the one `botToken` belongs to
+   * @returns {Promise<Object>} the `views.open` response, with the opened view in `view`
+   */
+  async openView(triggerId, view, authorization) {
+    return this.client.openView(triggerId, view, authorization);
+  }
+
+  /**
+   * Push a view onto the stack of an open modal
+   *
+   * @public
+   * @param {string} triggerId - the `trigger_id` of an action in the open modal
+   * @param {Object} view - the view
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `views.push` response
+   */
+  async pushView(triggerId, view, authorization) {
+    return this.client.pushView(triggerId, view, authorization);
+  }
+
+  /**
+   * Replace a view that is open, by `viewId` or `externalId`
+   *
+   * @public
+   * @param {Object} view - the new view
+   * @param {Object} target - `{ viewId, externalId, hash }`
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<Object>} the `views.update` response
+   */
+  async updateView(view, target, authorization) {
+    return this.client.updateView(view, target, authorization);
+  }
+
+  /**
+   * Publish a user's Home tab
+   *
+   * @public
+   * @param {string} userId
+   * @param {Object} view - a view of type `home`
+   * @param {InstallationQuery} [authorization] - the workspace, defaults to the one `botToken` belongs to
+   * @returns {Promise<Object>} the `views.publish` response
+   */
+  async publishHome(userId, view, authorization) {
+    return this.client.publishView(userId, view, authorization);
+  }
+
+  /**
+   * Re-render and publish the Home tab of several users, for example when the data it shows has changed. Users are
+   * published one at a time; a failure for one user is logged and doesn't stop the others.
+   *
+   * @public
+   * @param {string[]} userIds
+   * @param {Function} render - called with a user ID, returns (a promise of) that user's Home view
+   * @param {InstallationQuery} [authorization]
+   * @returns {Promise<{ published: string[], failed: Array<{ userId: string, error: Error }> }>}
+   */
+  async refreshHome(userIds, render, authorization) {
+    const published = [];
+    const failed = [];
+    for (const userId of userIds) {
+      try {
+        await this.publishHome(userId, await render(userId), authorization);
+        published.push(userId);
+      } catch (error) {
+        this.robot.logger.error(error, `Error publishing the Home tab of user ${userId}: ${error.message}`);
+        failed.push({ userId, error });
+      }
+    }
+    return { published, failed };
+  }
+
+  /**
+   * Complete a run of a custom workflow step with its outputs
+   *
+   * @public
+   * @param {WorkflowFunctionMessage} message - the message the run was received as
+   * @param {Object} [outputs] - the step's outputs, keyed by output name
+   * @returns {Promise<Object>} the `functions.completeSuccess` response
+   */
+  async completeFunction(message, outputs) {
+    return this.client.completeFunction(message.execution_id, { outputs, token: message.bot_access_token }, message.authorization);
+  }
+
+  /**
+   * Fail a run of a custom workflow step. The workflow stops and shows the error to whoever runs it.
+   *
+   * @public
+   * @param {WorkflowFunctionMessage} message - the message the run was received as
+   * @param {string|Error} error
+   * @returns {Promise<Object>} the `functions.completeError` response
+   */
+  async failFunction(message, error) {
+    return this.client.completeFunction(message.execution_id, { error: error?.message ?? String(error), token: message.bot_access_token }, message.authorization);
+  }
+
+  /**
+   * Hubot is setting the Slack conversation topic
+   * @public
+   * @param {Object} envelope - fully documented in SlackClient
+   * @param {...string} strings - strings that will be newline separated and set to the conversation topic
+   */
+  async setTopic(envelope, ...strings) {
+    if (!this.features.topics) {
+      return this.robot.logger.error(`Cannot set the topic in ${envelope.room} because setting topics is turned off. See the scope report logged at startup.`);
+    }
+    return await this.client.setTopic(envelope.room, strings.join("\n"), envelope.message?.authorization);
+  }
+
+  /**
+   * Hubot is reacting to the message in the envelope
+   *
+   * @public
+   * @param {Object} envelope - with `room` and the `message` to react to
+   * @param {string} emoji - the emoji name, with or without colons
+   * @returns {Promise<void>}
+   */
+  async react(envelope, emoji) {
+    if (!this.features.reacting) {
+      return this.robot.logger.error(`Cannot react with ${emoji} in ${envelope.room} because adding reactions is turned off. See the scope report logged at startup.`);
+    }
+    await this.track(this.client.addReaction(envelope.room, SlackBot.messageTsFor(envelope), emoji, envelope.message?.authorization));
+  }
+
+  /**
+   * Hubot is taking back its reaction to the message in the envelope
+   *
+   * @public
+   * @param {Object} envelope - with `room` and the `message` to remove the reaction from
+   * @param {string} emoji - the emoji name, with or without colons
+   * @returns {Promise<void>}
+   */
+  async unreact(envelope, emoji) {
+    if (!this.features.reacting) {
+      return this.robot.logger.error(`Cannot take back ${emoji} in ${envelope.room} because adding reactions is turned off. See the scope report logged at startup.`);
+    }
+    await this.track(this.client.removeReaction(envelope.room, SlackBot.messageTsFor(envelope), emoji, envelope.message?.authorization));
+  }
+
+  /**
+   * @private
+   * @param {Object} envelope
+   * @returns {string} the timestamp of the envelope's message
+   */
+  static messageTsFor(envelope) {
+    const ts = envelope.message?.message_ts ?? envelope.message?.id;
+    if (typeof ts !== "string") {
+      throw new Error(`Cannot react to ${envelope.message?.constructor?.name ?? "an envelope without a message"}, which isn't a Slack message`);
+    }
+    return ts;
+  }
+
+  /**
+   * Hand a message to the robot, and show the outcome on it when the processing indicator is on
+   *
+   * @public
+   * @param {Message} message
+   * @returns {Promise<void>}
+   */
+  async receive(message) {
+    await super.receive(message);
+    await this.processingIndicator?.finish(message);
+  }
+
+
+  /**
+   * Move the connection to a new state and tell the robot with a `slack:<state>` event
+   *
+   * @private
+   * @param {string} state - one of CONNECTION_STATES
+   * @returns {string} the previous state
+   */
+  setConnectionState(state) {
+    const previous = this.connectionState;
+    if (previous === state) return previous;
+    this.connectionState = state;
+    this.robot.logger.debug(`Slack connection state changed from ${previous} to ${state}`);
+    this.robot.emit(`slack:${state}`, { previous });
+    return previous;
+  }
+
+  /**
+   * The socket is opening a connection. Reconnect attempts go through here too, so they stay `reconnecting`.
+   * @private
+   */
+  onSocketConnecting() {
+    if (this.connectionState !== "reconnecting") {
+      this.setConnectionState("connecting");
+    }
+  }
+
+  /**
+   * @private
+   */
+  onSocketReconnecting() {
+    this.setConnectionState("reconnecting");
+  }
+
+  /**
+   * Slack client has opened the connection. The first time, tell Hubot we're connected so it can load scripts. After
+   * that it's a reconnect, and whatever was missed while disconnected is synced.
+   *
+   * @private
    */
-  open() {
-    this.robot.logger.info("Connected to Slack Socket");
+  async onSocketConnected() {
+    this.setConnectionState("connected");
+    if (!this.hasConnected) {
+      this.hasConnected = true;
+      this.robot.logger.info("Connected to Slack Socket");
+      this.emit("connected");
+      this.robot.emit("connected");
+      return;
+    }
+    const downtimeMs = this.disconnectedAt != null ? Date.now() - this.disconnectedAt : 0;
+    this.disconnectedAt = null;
+    this.robot.logger.info(`Reconnected to Slack Socket after ${Math.round(downtimeMs / 1000)}s`);
+    await this.resync();
+    this.robot.emit("slack:reconnected", { downtimeMs });
+  }
 
-    // Tell Hubot we're connected so it can load scripts
-    return this.emit("connected");
+  /**
+   * Catch up after a reconnect. Cached conversations may be stale, and users who joined or changed while we were
+   * disconnected are only picked up by syncing the user list again; `updateUserInBrain` applies just the changes.
+   *
+   * @public
+   */
+  async resync() {
+    this.client.channelData = {};
+    if (this.needsUserListSync && this.features.users && !this.options.disableUserSync) {
+      this.needsUserListSync = false;
+      this.client.loadUsers(this.usersLoaded.bind(this));
+    }
   }
 
   /**
@@ -346,10 +1281,125 @@ class SlackBot extends Adapter {
    */
   async authenticated(identity) {
     if(this.self) return;
+    await this.tokensReady;
     this.self = await this.client.web.auth.test();
     this.robot.logger.debug(this.self);
     this.robot.name = this.self.user;
-    return this.robot.logger.info(`Logged in as @${this.robot.name} in workspace ${this.self.team}`);
+    this.client.installedTeam = { teamId: this.self.team_id, enterpriseId: this.self.enterprise_id ?? undefined };
+    this.markExternalUsers();
+    if (this.installationStore) {
+      await this.storeOwnInstallation();
+    }
+    this.robot.logger.info(`Logged in as @${this.robot.name} in workspace ${this.self.team}`);
+    this.checkScopes();
+  }
+
+  /**
+   * Check the scopes granted to the bot token against the features the adapter uses, log what's missing and how to
+   * fix it, and turn off the features that can't work
+   *
+   * @private
+   */
+  checkScopes() {
+    const granted = this.self?.response_metadata?.scopes;
+    if (!Array.isArray(granted)) {
+      return this.robot.logger.debug("auth.test did not report the granted scopes, skipping the scope check");
+    }
+    const report = checkScopes(granted);
+    for (const line of formatScopeReport(report)) {
+      this.robot.logger.warn(line);
+    }
+    for (const feature of report.disabled) {
+      this.features[feature] = false;
+    }
+    if (report.missing.length === 0) {
+      this.robot.logger.info("The bot token has every scope the adapter needs");
+    }
+    return report;
+  }
+
+  /**
+   * The feature an event belongs to, so events for features that are turned off can be dropped
+   *
+   * @private
+   * @param {Object} event - the Slack event
+   * @returns {string|undefined}
+   */
+  static featureFor(event) {
+    switch (event?.type) {
+      case "reaction_added": case "reaction_removed":
+        return "reactions";
+      case "file_shared":
+        return "files";
+      case "message":
+        return event.channel_type === "im" ? "dms" : undefined;
+    }
+  }
+
+  /**
+   * The bot token was refreshed. Keep the copy in the options and the installation store current so that lookups by
+   * token still resolve to the default WebClient.
+   *
+   * @private
+   */
+  async tokenRotated() {
+    this.options.botToken = this.tokenRotator.token;
+    if (this.installationStore && this.self) {
+      await this.storeOwnInstallation();
+    }
+  }
+
+  /**
+   * Users can be synced before we know which team we're installed in, so mark them once we do
+   *
+   * @private
+   */
+  markExternalUsers() {
+    for (const user of Object.values(this.robot.brain.users())) {
+      if (user.slack != null) {
+        user.is_external = this.client.isExternalUser(user.slack);
+      }
+    }
+  }
+
+  /**
+   * Make sure the workspace that `botToken` belongs to is in the installation store, so that events from it resolve
+   * to the same token as before multi-workspace support was turned on
+   *
+   * @private
+   */
+  async storeOwnInstallation() {
+    try {
+      await this.installationStore.storeInstallation(new SlackIdentity({
+        installed_team_id: this.self.team_id,
+        team_id: this.self.team_id,
+        team_name: this.self.team,
+        enterprise_id: this.self.enterprise_id,
+        is_enterprise_install: this.self.is_enterprise_install,
+        bot_token: this.options.botToken,
+        bot_user_id: this.self.user_id,
+        bot_id: this.self.bot_id
+      }));
+    } catch (error) {
+      this.robot.logger.error(error, `Error storing the installation for workspace ${this.self.team}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Figure out which workspace or Enterprise Grid org an incoming payload belongs to. Events carry this in
+   * `authorizations`, interactive payloads in `team` and `enterprise`.
+   *
+   * @private
+   * @param {Object} body - the payload body
+   * @returns {InstallationQuery}
+   */
+  static authorizationFor(body) {
+    const authorization = body?.authorizations?.[0];
+    return {
+      teamId: authorization?.team_id ?? body?.team_id ?? body?.team?.id ?? undefined,
+      enterpriseId: authorization?.enterprise_id ?? body?.enterprise_id ?? body?.enterprise?.id ?? undefined,
+      isEnterpriseInstall: authorization?.is_enterprise_install ?? body?.is_enterprise_install ?? false
+    };
   }
 
   /**
@@ -357,22 +1407,119 @@ class SlackBot extends Adapter {
    * @private
    */
   onSocketClose() {
+    this.disconnectedAt ??= Date.now();
+    this.needsUserListSync = true;
     if (this.socket.autoReconnectEnabled && !this.socket.shuttingDown) {
+      this.setConnectionState("reconnecting");
       this.robot.logger.info("Disconnected from Slack Socket");
       return this.robot.logger.info("Waiting for reconnect...");
     } else {
+      this.setConnectionState("disconnected");
       return this.robot.logger.info("Disconnected from Slack Socket");
     }
   }
 
   /**
-   * Close the connection
+   * The socket gave up on the connection, or failed to connect in the first place
+   * @private
+   */
+  onSocketDisconnected() {
+    this.setConnectionState("disconnected");
+  }
+
+  /**
+   * Remember a promise until it settles, so that shutdown can wait for it
+   *
+   * @private
+   * @param {Promise|*} result
+   * @returns {Promise|*} the same result
+   */
+  track(result) {
+    const promise = Promise.resolve(result);
+    this.pending.add(promise);
+    const forget = () => this.pending.delete(promise);
+    promise.then(forget, forget);
+    return result;
+  }
+
+  /**
+   * Handle an event from the socket, unless we're shutting down or haven't authenticated yet. Those events are not
+   * acknowledged, so Slack delivers them again, to another connection or once we know who we are.
+   *
    * @private
+   * @param {Object} message - the socket payload
+   */
+  receiveEvent(message) {
+    if (!this.acceptingEvents) {
+      this.robot.logger.debug(`Not handling ${message?.event?.type ?? message?.type} event because the adapter is shutting down`);
+      return;
+    }
+    if (!this.self) {
+      this.robot.logger.info(`Not handling ${message?.event?.type ?? message?.type} event yet because the adapter hasn't authenticated; Slack will deliver it again`);
+      return;
+    }
+    return this.track(this.eventHandler(message));
+  }
+
+  /**
+   * Hubot calls this from `robot.shutdown()` without waiting for it. See `shutdown()`.
+   *
+   * @public
+   * @returns {Promise<void>}
    */
   close() {
+    return this.shutdown();
+  }
+
+  /**
+   * Close the connection gracefully. New events are refused, pending event handler runs and outgoing messages get up
+   * to `shutdownTimeoutMs` to finish, then the socket is closed. Calling it again returns the same promise.
+   * `robot.shutdown()` closes the brain and the HTTP server right away, so await this before calling it.
+   *
+   * @public
+   * @returns {Promise<void>}
+   */
+  shutdown() {
+    this.closing ??= this.drainAndDisconnect();
+    return this.closing;
+  }
+
+  /**
+   * @private
+   */
+  async drainAndDisconnect() {
+    this.acceptingEvents = false;
+    this.socket.pause?.();
+    this.tokenRotator?.stop();
+    await this.drain(this.options.shutdownTimeoutMs ?? SlackBot.SHUTDOWN_TIMEOUT_MS);
     this.disconnect();
   }
 
+  /**
+   * Wait for pending work, including work started while waiting, such as replies sent by a handler that was running
+   *
+   * @private
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} false if the timeout ran out first
+   */
+  async drain(timeoutMs) {
+    if (this.pending.size === 0) return true;
+    this.robot.logger.info(`Waiting up to ${timeoutMs}ms for ${this.pending.size} pending events and messages`);
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    let drained = true;
+    while (this.pending.size > 0 && drained) {
+      drained = await Promise.race([Promise.allSettled([...this.pending]).then(() => true), timedOut]);
+    }
+    clearTimeout(timer);
+    if (!drained) {
+      this.robot.logger.warn(`Gave up waiting for ${this.pending.size} pending events and messages after ${timeoutMs}ms`);
+    }
+    return drained;
+  }
+
   /**
    * Slack client has closed the connection and will not reconnect
    * @private
@@ -381,6 +1528,7 @@ class SlackBot extends Adapter {
     this.robot.logger.info("Disconnected from Slack Socket");
     this.robot.logger.info("Exiting...");
     this.client.disconnect();
+    this.setConnectionState("disconnected");
   }
 
   /**
@@ -391,11 +1539,12 @@ class SlackBot extends Adapter {
    */
   error(error) {
     this.robot.logger.error(error, `SlackBot error`);
-    // Assume that scripts can handle slowing themselves down, all other errors are bubbled up through Hubot
-    // NOTE: should rate limit errors also bubble up?
-    if (error.code !== -1) {
-      return this.robot.emit("error", error);
+    // Rate limits hold the outgoing queue back for as long as Slack asks, all other errors are bubbled up through Hubot
+    const retryAfterMs = OutgoingQueue.retryAfterMs(error);
+    if (retryAfterMs != null) {
+      return this.client?.queue.rateLimited(retryAfterMs);
     }
+    return this.robot.emit("error", error);
   }
 
   replaceBotIdWithName(event) {
@@ -437,8 +1586,50 @@ class SlackBot extends Adapter {
    */
   async eventHandler(message) {
     this.robot.logger.debug(`eventHandler ${JSON.stringify(message, null, 2)}`);
-    if (message?.ack) {
-      await message?.ack();
+    const ack = new DeferredAck(message?.ack, {
+      timeoutMs: this.options.ackTimeoutMs,
+      logger: this.robot.logger,
+      // Slack treats an empty acknowledgement of an options request as an error
+      fallback: SlackBot.OPTIONS_REQUESTS.includes(message?.body?.type) ? { options: [] } : undefined
+    });
+    if (message?.accepts_response_payload || this.options.deferAck) {
+      // Listeners get `ack` on the message to answer with a response payload. See `DeferredAck`.
+      ack.start();
+    } else {
+      await ack.ack();
+    }
+    try {
+      return await this.handleEvent(message, ack);
+    } finally {
+      // The socket may be gone by now, e.g. during a reconnect
+      await ack.settle().catch(error => this.robot.logger.error(error, `Error acknowledging the envelope: ${error.message}`));
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} message - the socket payload
+   * @param {DeferredAck} ack - acknowledges the envelope, unless it already was
+   */
+  async handleEvent(message, ack) {
+
+    // Slack retries events that weren't acknowledged in time, and the same event can arrive on more than one socket
+    const eventKey = EventDeduplicator.keyFor(message);
+    if (this.deduplicator.isDuplicate(eventKey)) {
+      const retry = message.retry_num != null ? ` (retry ${message.retry_num}, ${message.retry_reason ?? "unknown reason"})` : "";
+      this.robot.logger.info(`Suppressed duplicate event ${eventKey}${retry}, ${this.deduplicator.suppressed} duplicates suppressed so far`);
+      return;
+    }
+
+    if (message?.body?.command != null) {
+      return await this.handleSlashCommand(message, ack);
+    }
+    if (message?.body?.event == null && message?.body?.type != null) {
+      return await this.handleInteraction(message, ack);
+    }
+
+    if (message?.body?.event?.type === "function_executed") {
+      return await this.handleFunctionExecuted(message);
     }
 
     if(!message?.body?.event?.user) {
@@ -447,35 +1638,42 @@ class SlackBot extends Adapter {
 
     let msg;
     const {user, channel} = message.event;
-    const event_team_id = message.event.team;
+    const event_team_id = message.event.user_team ?? message.event.team;
+    const authorization = SlackBot.authorizationFor(message.body);
+    const installation = await this.client.installationFor(authorization);
 
-    const userFromBrain = this.robot.brain.users()[user];
-    if (!userFromBrain) {
-      const userResponse = await this.client.web.users.info({
-        user
-      })
-      this.robot.brain.userForId(user, userResponse.user);
+    const feature = SlackBot.featureFor(message.event);
+    if (feature && !this.features[feature]) {
+      this.robot.logger.debug(`Dropping ${message.event.type} event because ${FEATURES[feature].description} is turned off`);
+      return;
     }
 
-    const from = this.robot.brain.users()[user];
+    const from = await this.userFor(user, installation);
 
     // Ignore anything we sent
-    if (from?.id === this.self.user_id) { 
+    if (from?.id === this.self.user_id || (installation && from?.id === installation.bot_user_id)) { 
       return ;
     }
     
     this.robot.logger.debug(`event ${JSON.stringify(message, null, 2)} user = ${user}`);
 
-    // TODO: I don't know what the schema looks like for this so i'm commenting it out
-    // until i can figure it out.
-    // if (this.options.installedTeamOnly) {
-    //   // Skip events generated by other workspace users in a shared channel
-    //   if ((event_team_id != null) && (event_team_id !== this.self.installed_team_id)) {
-    //     this.robot.logger.debug(`Skipped an event generated by an other workspace user (team: ${event_team_id}) in shared channel (channel: ${channel})`);
-    //     return;
-    //   }
-    // }
+    // Events from shared channels carry the sender's team in `user_team` (or `team`)
+    const isExternal = this.flagExternal(from, authorization, event_team_id);
+    if (isExternal && this.options.installedTeamOnly) {
+      // Skip events generated by other workspace users in a shared channel
+      this.robot.logger.debug(`Skipped an event generated by an other workspace user (team: ${event_team_id}) in shared channel (channel: ${channel})`);
+      return;
+    }
 
+    // Messages remember which workspace they came from so replies are sent with that workspace's token
+    const receive = msg => {
+      msg.authorization = authorization;
+      msg.is_external = isExternal;
+      if (!ack.acked) {
+        msg.ack = ack.ack;
+      }
+      return this.receive(msg);
+    };
 
     // Hubot expects all user objects to have a room property that is used in the envelope for the message after it
     // is received
@@ -495,13 +1693,13 @@ class SlackBot extends Adapter {
           this.robot.logger.debug(`Received enter message for user: ${from.id}, joining: ${channel}`);
           msg = new EnterMessage(from);
           msg.ts = message.event.ts;
-          await this.receive(msg);
+          await receive(msg);
           break;
         case "member_left_channel":
           this.robot.logger.debug(`Received leave message for user: ${from.id}, joining: ${channel}`);
           msg = new LeaveMessage(user);
           msg.ts = message.ts;
-          await this.receive(msg);
+          await receive(msg);
           break;
         case "reaction_added": case "reaction_removed":
           // Once again Hubot expects all user objects to have a room property that is used in the envelope for the message
@@ -515,17 +1713,21 @@ class SlackBot extends Adapter {
           const item_user = (message.body.event.item_user != null) ? this.robot.brain.userForId(message.body.event.item_user.id, message.body.event.item_user) : {};
   
           this.robot.logger.debug(`Received reaction message from: ${from.id}, reaction: ${message.body.event.reaction}, item type: ${message.body.event.item.type}`);
-          await this.receive(new ReactionMessage(message.body.event.type, from, message.body.event.reaction, item_user, message.body.event.item, message.body.event.event_ts));
+          await receive(new ReactionMessage(message.body.event.type, from, message.body.event.reaction, item_user, message.body.event.item, message.body.event.event_ts));
+          break;
+        case "app_home_opened":
+          this.robot.logger.debug(`Received app_home_opened from: ${from.id}, tab: ${message.body.event.tab}`);
+          await receive(new AppHomeOpenedMessage(from, message.body.event));
           break;
         case "file_shared":  
           this.robot.logger.debug(`Received file_shared message from: ${message.body.event.user_id}, file_id: ${message.body.event.file_id}`);
-          await this.receive(new FileSharedMessage(from, message.body.event.file_id, message.body.event.event_ts));
+          await receive(new FileSharedMessage(from, message.body.event.file_id, message.body.event.event_ts));
           break;
         default:
           this.robot.logger.debug(`Received generic message: ${message.event.type}`);
           try {
-            const msg = await SlackTextMessage.makeSlackTextMessage(from, null, message?.body?.event.text, message?.body?.event, channel, this.robot.name, this.robot.alias, this.client)
-            await this.receive(msg);
+            const msg = await SlackTextMessage.makeSlackTextMessage(from, null, message?.body?.event.text, message?.body?.event, channel, this.robot.name, this.robot.alias, this.client, authorization)
+            await receive(msg);
           } catch (error) {
             this.robot.logger.error(error, `Dropping message due to error ${error.message}`);
           }
@@ -536,6 +1738,181 @@ class SlackBot extends Adapter {
     }
   }
 
+  /**
+   * Mark whether the sender of a payload is from another organization, as in a Slack Connect channel, by comparing
+   * their team to the team the payload was delivered to, which is the installing team
+   *
+   * @private
+   * @param {User} from - the sender; `is_external` is set on it
+   * @param {InstallationQuery} authorization - the workspace the payload was delivered to
+   * @param {string} [teamId] - the sender's team, when the payload says; otherwise the team of the user in the brain
+   * @returns {boolean} true if the sender is external
+   */
+  flagExternal(from, authorization, teamId) {
+    from.is_external = this.client.isExternalTeam({
+      teamId: teamId ?? from.slack?.team_id ?? from.team_id,
+      enterpriseId: from.slack?.enterprise_user?.enterprise_id ?? from.enterprise_user?.enterprise_id
+    }, {
+      teamId: authorization.teamId ?? this.client.installedTeam?.teamId,
+      enterpriseId: authorization.enterpriseId ?? this.client.installedTeam?.enterpriseId
+    });
+    return from.is_external;
+  }
+
+  /**
+   * Find the user in the brain, fetching them from Slack first if they aren't there yet
+   *
+   * @private
+   * @param {string} userId
+   * @param {SlackIdentity|null} installation - the installation whose token to fetch the user with
+   * @returns {Promise<User>}
+   */
+  async userFor(userId, installation) {
+    const userFromBrain = this.robot.brain.users()[userId];
+    if (!userFromBrain && !this.features.users) {
+      // Without users:read all we know about the user is their ID
+      this.robot.brain.userForId(userId, { id: userId });
+    } else if (!userFromBrain) {
+      const userResponse = await this.client.webForInstallation(installation).users.info({
+        user: userId
+      })
+      const user = this.robot.brain.userForId(userId, userResponse.user);
+      user.is_external = this.client.isExternalUser(userResponse.user, installation ? { teamId: installation.team_id, enterpriseId: installation.enterprise_id } : undefined);
+    }
+    return this.robot.brain.users()[userId];
+  }
+
+  /**
+   * The user from the brain, or else the little the payload says about them while they're fetched in the background
+   *
+   * @private
+   * @param {Object} payloadUser - the `user` of an interactive payload
+   * @param {SlackIdentity|null} installation - the installation whose token to fetch the user with
+   * @returns {User}
+   */
+  userFromPayload(payloadUser, installation) {
+    const userFromBrain = this.robot.brain.users()[payloadUser?.id];
+    if (userFromBrain) return userFromBrain;
+    this.userFor(payloadUser?.id, installation).catch(error => {
+      this.robot.logger.error(error, `Error fetching user ${payloadUser?.id}: ${error.message}`);
+    });
+    return new User(payloadUser?.id, { name: payloadUser?.username ?? payloadUser?.name, team_id: payloadUser?.team_id });
+  }
+
+  /**
+   * Turn a slash command payload into a SlashCommandMessage. The envelope isn't acknowledged until the listeners are
+   * done, so a listener can answer with the acknowledgement.
+   *
+   * @private
+   * @param {Object} message - the socket payload
+   * @param {DeferredAck} ack
+   */
+  async handleSlashCommand(message, ack) {
+    const body = message.body;
+    const authorization = SlackBot.authorizationFor(body);
+    const installation = await this.client.installationFor(authorization);
+    const from = await this.userFor(body.user_id, installation);
+    const isExternal = this.flagExternal(from, authorization);
+    if (isExternal && this.options.installedTeamOnly) {
+      this.robot.logger.debug(`Skipped slash command ${body.command} from an other workspace user (user: ${from.id}) in: ${body.channel_id}`);
+      return;
+    }
+    from.room = body.channel_id;
+    this.robot.logger.debug(`Received slash command ${body.command} from: ${from.id}, in: ${body.channel_id}`);
+    const msg = new SlashCommandMessage(from, body);
+    msg.authorization = authorization;
+    msg.is_external = isExternal;
+    msg.ack = ack.ack;
+    await this.receive(msg);
+  }
+
+  /**
+   * Turn a function_executed event into a WorkflowFunctionMessage. Workflow steps aren't run by a user, so the message
+   * comes from a user standing in for the app and has no room.
+   *
+   * @private
+   * @param {Object} message - the socket payload
+   */
+  async handleFunctionExecuted(message) {
+    const event = message.body.event;
+    const from = new User(event.function?.app_id ?? message.body.api_app_id ?? "workflow", { room: "" });
+    this.robot.logger.debug(`Received function_executed for ${event.function?.callback_id}, execution: ${event.function_execution_id}`);
+    const msg = new WorkflowFunctionMessage(from, event);
+    msg.authorization = SlackBot.authorizationFor(message.body);
+    await this.receive(msg);
+    // Otherwise the step hangs until Slack times it out
+    if (!msg.handled) {
+      this.robot.logger.warn(`No robot.onWorkflowFunction() listener handled workflow step ${msg.callback_id}, failing the run`);
+      try {
+        await this.failFunction(msg, `No handler for workflow step ${msg.callback_id}`);
+      } catch (error) {
+        this.robot.logger.error(error, `Error failing workflow step ${msg.callback_id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Turn an interactive payload into messages for the listeners. The envelope isn't acknowledged until the listeners
+   * are done.
+   *
+   * @private
+   * @param {Object} message - the socket payload
+   * @param {DeferredAck} ack
+   */
+  async handleInteraction(message, ack) {
+    const body = message.body;
+    const authorization = SlackBot.authorizationFor(body);
+    const installation = await this.client.installationFor(authorization);
+    // Options have to be answered within the ack timeout, so don't wait for the user to be fetched
+    const from = SlackBot.OPTIONS_REQUESTS.includes(body.type)
+      ? this.userFromPayload(body.user, installation)
+      : await this.userFor(body.user?.id, installation);
+    const isExternal = this.flagExternal(from, authorization, body.user?.team_id);
+    if (isExternal && this.options.installedTeamOnly) {
+      this.robot.logger.debug(`Skipped ${body.type} from an other workspace user (user: ${from.id}, team: ${body.user?.team_id})`);
+      return;
+    }
+    const receive = msg => {
+      msg.authorization = authorization;
+      msg.is_external = isExternal;
+      msg.ack = ack.ack;
+      return this.receive(msg);
+    };
+
+    switch (body.type) {
+      case "block_actions":
+        from.room = body.channel?.id ?? body.container?.channel_id ?? "";
+        for (const action of body.actions ?? []) {
+          this.robot.logger.debug(`Received block action ${action.action_id} from: ${from.id}, in: ${from.room}`);
+          await receive(new BlockActionMessage(from, action, body));
+        }
+        break;
+      case "view_submission": case "view_closed":
+        // Modals don't belong to a conversation, so anything sent in response goes to the user as a DM
+        from.room = from.id;
+        this.robot.logger.debug(`Received ${body.type} for view ${body.view?.callback_id} from: ${from.id}`);
+        await receive(body.type === "view_submission" ? new ViewSubmissionMessage(from, body) : new ViewClosedMessage(from, body));
+        break;
+      case "block_suggestion":
+        from.room = body.channel?.id ?? body.container?.channel_id ?? from.id;
+        this.robot.logger.debug(`Received block_suggestion for ${body.action_id} from: ${from.id}`);
+        await receive(new BlockSuggestionMessage(from, body));
+        break;
+      case "shortcut":
+        from.room = from.id;
+        this.robot.logger.debug(`Received shortcut ${body.callback_id} from: ${from.id}`);
+        await receive(new ShortcutMessage(from, body));
+        break;
+      case "message_action":
+        from.room = body.channel?.id ?? "";
+        this.robot.logger.debug(`Received message shortcut ${body.callback_id} from: ${from.id}, in: ${from.room}`);
+        await receive(new MessageShortcutMessage(from, body, () => this.client.getPermalink(body.channel?.id, body.message_ts ?? body.message?.ts, authorization)));
+        break;
+      default:
+        this.robot.logger.debug(`Ignoring interactive payload of type ${body.type}`);
+    }
+  }
+
   /**
    * Callback for fetching all users in workspace. Delegates to `updateUserInBrain()` to write all users to Hubot brain
    *
@@ -544,6 +1921,9 @@ class SlackBot extends Adapter {
    * @param {SlackUsersList} [res] - the response from the Slack Web API method `users.list`
    */
   usersLoaded(err, res) {
+    if (err && !this.features.users) {
+      return;
+    }
     if (err || !res.members.length) {
       this.robot.logger.error("Can't fetch users");
       return;
@@ -0,0 +1,252 @@
+import { readFile } from 'node:fs/promises'
+import { pathToFileURL } from 'node:url'
+import path from 'node:path'
+
+class ConfigurationError extends Error {
+  /**
+   * Thrown when the adapter configuration is invalid. Lists every problem found, not just the first one.
+   *
+   * @constructor
+   * @param {string[]} errors - one readable message per invalid option
+   */
+  constructor(errors) {
+    super(`Invalid hubot-slack configuration:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+    this.name = "ConfigurationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Every option the adapter accepts. `env` is the environment variable the option is read from, `secret` options are
+ * masked when the configuration is logged. Options in a config file use the key names.
+ */
+const SCHEMA = {
+  appToken: { env: "HUBOT_SLACK_APP_TOKEN", type: "string", secret: true, pattern: /^xapp-/, description: "an app-level token starting with xapp-" },
+  botToken: { env: "HUBOT_SLACK_BOT_TOKEN", type: "string", secret: true, pattern: /^(xoxe\.)?xox[bp]-/, description: "a bot token starting with xoxb-, xoxp- or xoxe.xoxb-" },
+  disableUserSync: { env: "DISABLE_USER_SYNC", type: "boolean", default: false },
+  apiPageSize: { env: "API_PAGE_SIZE", type: "integer", min: 1, max: 1000, default: 100 },
+  installedTeamOnly: { env: "INSTALLED_TEAM_ONLY", type: "boolean", default: false },
+  receiver: { env: "HUBOT_SLACK_RECEIVER", type: "enum", values: ["socket", "http"], default: "socket" },
+  signingSecret: { env: "HUBOT_SLACK_SIGNING_SECRET", type: "string", secret: true },
+  eventsPath: { env: "HUBOT_SLACK_EVENTS_PATH", type: "string", pattern: /^\//, description: "a path starting with /", default: "/slack/events" },
+  multiWorkspace: { env: "HUBOT_SLACK_MULTI_WORKSPACE", type: "boolean", default: false },
+  installationStorePath: { env: "HUBOT_SLACK_INSTALLATION_STORE", type: "string" },
+  socketModeOptions: { env: "HUBOT_SLACK_SOCKET_MODE_OPTS", type: "object", default: {} },
+  clientId: { env: "HUBOT_SLACK_CLIENT_ID", type: "string" },
+  clientSecret: { env: "HUBOT_SLACK_CLIENT_SECRET", type: "string", secret: true },
+  refreshToken: { env: "HUBOT_SLACK_REFRESH_TOKEN", type: "string", secret: true, pattern: /^xoxe-/, description: "a refresh token starting with xoxe-" },
+  tokenStorePath: { env: "HUBOT_SLACK_TOKEN_STORE", type: "string" },
+  conversationCacheTtlMs: { env: "HUBOT_SLACK_CONVERSATION_CACHE_TTL_MS", type: "integer", min: 0, default: 5 * 60 * 1000 },
+  dedupeWindowMs: { env: "HUBOT_SLACK_DEDUPE_WINDOW_MS", type: "integer", min: 0, default: 10 * 60 * 1000 },
+  deferAck: { env: "HUBOT_SLACK_DEFER_ACK", type: "boolean", default: false },
+  ackTimeoutMs: { env: "HUBOT_SLACK_ACK_TIMEOUT_MS", type: "integer", min: 0, max: 3000, default: 2500 },
+  shutdownTimeoutMs: { env: "HUBOT_SLACK_SHUTDOWN_TIMEOUT_MS", type: "integer", min: 0, default: 10 * 1000 },
+  autoThread: { env: "HUBOT_SLACK_AUTO_THREAD", type: "boolean", default: false },
+  maxMessageLength: { env: "HUBOT_SLACK_MAX_MESSAGE_LENGTH", type: "integer", min: 100, max: 40000, default: 4000 },
+  snippetThreshold: { env: "HUBOT_SLACK_SNIPPET_THRESHOLD", type: "integer", min: 0, default: 12000 },
+  messageIntervalMs: { env: "HUBOT_SLACK_MESSAGE_INTERVAL_MS", type: "integer", min: 0, default: 1000 },
+  maxQueuedMessages: { env: "HUBOT_SLACK_MAX_QUEUED_MESSAGES", type: "integer", min: 1, default: 100 },
+  processingReactions: { env: "HUBOT_SLACK_PROCESSING_REACTIONS", type: "boolean", default: false },
+  processingEmoji: { env: "HUBOT_SLACK_PROCESSING_EMOJI", type: "string", default: "eyes" },
+  successEmoji: { env: "HUBOT_SLACK_SUCCESS_EMOJI", type: "string", default: "white_check_mark" },
+  failureEmoji: { env: "HUBOT_SLACK_FAILURE_EMOJI", type: "string", default: "x" }
+};
+
+const TRUE_VALUES = ["", "true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+/**
+ * Convert an environment variable string to the option's type
+ *
+ * @private
+ * @param {Object} spec - the option's schema entry
+ * @param {string} value - the raw environment variable
+ * @returns {*} the parsed value, or the string unchanged if it can't be parsed so validation can report it
+ */
+function parseEnvValue(spec, value) {
+  switch (spec.type) {
+    case "boolean":
+      // These options used to be switched on by merely being set, so an empty value still means true
+      if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+      if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+      return value;
+    case "integer":
+      return /^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value;
+    case "object":
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * @private
+ * @param {string} key - the option name
+ * @param {Object} spec - the option's schema entry
+ * @param {*} value
+ * @param {string} source - where the value came from, for error messages
+ * @returns {string|undefined} an error message, or undefined if the value is valid
+ */
+function validateValue(key, spec, value, source) {
+  const label = `${key} (${source})`;
+  switch (spec.type) {
+    case "boolean":
+      if (typeof value !== "boolean") return `${label} must be true or false, got ${JSON.stringify(value)}`;
+      break;
+    case "integer":
+      if (!Number.isInteger(value)) return `${label} must be an integer, got ${JSON.stringify(value)}`;
+      if (spec.min != null && value < spec.min) return `${label} must be at least ${spec.min}, got ${value}`;
+      if (spec.max != null && value > spec.max) return `${label} must be at most ${spec.max}, got ${value}`;
+      break;
+    case "enum":
+      if (!spec.values.includes(value)) return `${label} must be one of ${spec.values.join(", ")}, got ${JSON.stringify(value)}`;
+      break;
+    case "object":
+      if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        return `${label} must be a JSON object, got ${typeof value === "string" ? `unparseable JSON ${JSON.stringify(value)}` : JSON.stringify(value)}`;
+      }
+      break;
+    case "string":
+      if (typeof value !== "string") return `${label} must be a string, got ${JSON.stringify(value)}`;
+      if (spec.pattern && !spec.pattern.test(value)) return `${label} must be ${spec.description ?? `a string matching ${spec.pattern}`}`;
+      break;
+  }
+}
+
+/**
+ * Read a JSON, YAML or ESM config file. ESM files export the options object (or a function returning it) as default.
+ *
+ * @private
+ * @param {string} file - path to the config file
+ * @returns {Promise<Object>}
+ */
+async function readConfigFile(file) {
+  const fullPath = path.resolve(file);
+  const extension = path.extname(fullPath).toLowerCase();
+  if ([".mjs", ".js"].includes(extension)) {
+    const exported = (await import(pathToFileURL(fullPath))).default;
+    return typeof exported === "function" ? await exported() : exported;
+  }
+  const contents = await readFile(fullPath, "utf8");
+  if ([".yaml", ".yml"].includes(extension)) {
+    const { parse } = await import("yaml");
+    return parse(contents);
+  }
+  if (extension === ".json") {
+    return JSON.parse(contents);
+  }
+  throw new Error(`unsupported config file type ${extension}, use .json, .yaml, .yml, .mjs or .js`);
+}
+
+/**
+ * Build the adapter options from a config file and environment variables, then validate them. Environment variables
+ * take precedence over the config file.
+ *
+ * @public
+ * @param {Object} [params]
+ * @param {Object} [params.env] - environment variables, defaults to `process.env`
+ * @param {string} [params.file] - path to a config file, defaults to `HUBOT_SLACK_CONFIG`
+ * @returns {Promise<Object>} the adapter options
+ * @throws {ConfigurationError} when any option is invalid
+ */
+async function loadConfig({ env = process.env, file = env.HUBOT_SLACK_CONFIG } = {}) {
+  const errors = [];
+  let fromFile = {};
+  if (file) {
+    try {
+      fromFile = (await readConfigFile(file)) ?? {};
+      if (typeof fromFile !== "object" || Array.isArray(fromFile)) {
+        errors.push(`config file ${file} must contain an object of options`);
+        fromFile = {};
+      }
+    } catch (error) {
+      errors.push(`config file ${file} could not be read: ${error.message}`);
+    }
+  }
+  for (const key of Object.keys(fromFile)) {
+    if (!(key in SCHEMA)) errors.push(`${key} (config file) is not a known option`);
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let value, source;
+    if (env[spec.env] != null) {
+      value = parseEnvValue(spec, env[spec.env]);
+      source = spec.env;
+    } else if (fromFile[key] != null) {
+      value = fromFile[key];
+      source = "config file";
+    } else {
+      if (spec.default !== undefined) config[key] = structuredClone(spec.default);
+      continue;
+    }
+    const error = validateValue(key, spec, value, source);
+    if (error) {
+      errors.push(error);
+    } else {
+      config[key] = value;
+    }
+  }
+
+  if (!config.botToken && !errors.some(error => error.startsWith("botToken"))) {
+    errors.push(`botToken is required, set ${SCHEMA.botToken.env}`);
+  }
+  if (config.receiver === "socket" && !config.appToken && !errors.some(error => error.startsWith("appToken"))) {
+    errors.push(`appToken is required when receiving events over Socket Mode, set ${SCHEMA.appToken.env}`);
+  }
+  if (config.receiver === "http" && !config.signingSecret) {
+    errors.push(`signingSecret is required when receiving events over HTTP, set ${SCHEMA.signingSecret.env}`);
+  }
+
+  if (config.botToken?.startsWith("xoxe.") || config.refreshToken) {
+    for (const key of ["clientId", "clientSecret", "refreshToken"]) {
+      if (!config[key] && !errors.some(error => error.startsWith(key))) {
+        errors.push(`${key} is required when the bot token expires, set ${SCHEMA[key].env}`);
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigurationError(errors);
+  }
+  return config;
+}
+
+/**
+ * @private
+ * @param {string} value
+ * @returns {string} the value with all but a recognizable prefix and the last 4 characters masked
+ */
+function mask(value) {
+  if (typeof value !== "string" || value.length === 0) return value;
+  const prefix = value.match(/^(xox[a-z]-|xapp-|xoxe\.xox[a-z]-)/)?.[0] ?? "";
+  const visible = value.length - prefix.length > 8 ? value.slice(-4) : "";
+  return `${prefix}****${visible}`;
+}
+
+/**
+ * Describe the effective configuration for logging, with secrets masked
+ *
+ * @public
+ * @param {Object} config - as returned by `loadConfig()`
+ * @returns {Object}
+ */
+function describeConfig(config) {
+  const described = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (value === undefined) continue;
+    described[key] = SCHEMA[key]?.secret ? mask(value) : value;
+  }
+  return described;
+}
+
+export {
+  SCHEMA,
+  ConfigurationError,
+  loadConfig,
+  describeConfig
+}
@@ -0,0 +1,73 @@
+class DeferredAck {
+  // Slack waits 3 seconds for an acknowledgement; leave time for the ack to travel
+  static TIMEOUT_MS = 2500;
+
+  /**
+   * Wraps an envelope's ack function so a listener can acknowledge with a response payload. If nobody has
+   * acknowledged when the timeout runs out, the envelope is acknowledged with the fallback payload (empty by default)
+   * so Slack doesn't retry or show the user an error.
+   *
+   * @constructor
+   * @param {Function} [ack] - the envelope's ack function; without one there's nothing to acknowledge
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - how long to wait for a listener to acknowledge
+   * @param {Object} [options.fallback] - the payload to acknowledge with when no listener did
+   * @param {Object} [options.logger] - the robot's logger
+   */
+  constructor(ack, options = {}) {
+    this.sendAck = ack;
+    this.timeoutMs = options.timeoutMs ?? DeferredAck.TIMEOUT_MS;
+    this.logger = options.logger;
+    this.fallback = options.fallback;
+    this.acked = typeof ack !== "function";
+    this.timer = null;
+    this.ack = this.ack.bind(this);
+  }
+
+  /**
+   * Start the timer for the automatic fallback ack
+   * @public
+   */
+  start() {
+    if (this.acked) return;
+    this.timer = setTimeout(() => {
+      this.logger?.warn(`Nothing acknowledged the envelope within ${this.timeoutMs}ms, acknowledging it with ${this.fallback ? JSON.stringify(this.fallback) : "an empty payload"}`);
+      this.ack(this.fallback).catch(error => this.logger?.error(error, `Error acknowledging the envelope: ${error.message}`));
+    }, this.timeoutMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Acknowledge the envelope. Only the first call is sent to Slack.
+   *
+   * @public
+   * @param {Object} [payload] - the response payload
+   * @returns {Promise<boolean>} false if the envelope was already acknowledged
+   */
+  async ack(payload) {
+    if (this.acked) {
+      if (payload != null) {
+        this.logger?.warn("The response payload was not sent because the envelope was already acknowledged");
+      }
+      return false;
+    }
+    this.acked = true;
+    clearTimeout(this.timer);
+    await this.sendAck(payload);
+    return true;
+  }
+
+  /**
+   * Acknowledge with the fallback payload if nothing did, once the listeners are done
+   * @public
+   */
+  async settle() {
+    if (!this.acked) {
+      await this.ack(this.fallback);
+    }
+  }
+}
+
+export {
+  DeferredAck
+}
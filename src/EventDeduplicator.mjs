@@ -0,0 +1,76 @@
+class EventDeduplicator {
+  static WINDOW_MS = 10 * 60 * 1000;
+  static MAX_ENTRIES = 10000;
+
+  /**
+   * Remembers recently seen events so that Slack's retries, and events delivered to more than one socket connection,
+   * are only handled once. Entries expire after `windowMs` and the oldest are evicted beyond `maxEntries`.
+   *
+   * @constructor
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - how long to remember an event, defaults to 10 minutes which covers Slack's
+   * retry schedule
+   * @param {number} [options.maxEntries] - the most events to remember
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? EventDeduplicator.WINDOW_MS;
+    this.maxEntries = options.maxEntries ?? EventDeduplicator.MAX_ENTRIES;
+    // Map keeps insertion order, so the first entry is always the oldest
+    this.seen = new Map();
+    this.suppressed = 0;
+  }
+
+  /**
+   * The key an incoming payload is deduplicated on: its `event_id`, or the event type, channel and timestamp for
+   * payloads without one
+   *
+   * @public
+   * @param {Object} message - the socket payload
+   * @returns {string|null} null when the payload can't be identified
+   */
+  static keyFor(message) {
+    const eventId = message?.body?.event_id;
+    if (eventId) return eventId;
+    const event = message?.event ?? message?.body?.event;
+    const ts = event?.ts ?? event?.event_ts;
+    if (event?.channel && ts) return `${event.type}:${event.channel}:${ts}`;
+    return null;
+  }
+
+  /**
+   * Check whether a key was seen within the window, and remember it if it wasn't
+   *
+   * @public
+   * @param {string|null} key - as returned by `keyFor()`
+   * @param {number} [now] - the current time in milliseconds
+   * @returns {boolean} true if the key is a duplicate
+   */
+  isDuplicate(key, now = Date.now()) {
+    if (key == null) return false;
+    this.prune(now);
+    if (this.seen.has(key)) {
+      this.suppressed++;
+      return true;
+    }
+    this.seen.set(key, now);
+    if (this.seen.size > this.maxEntries) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    return false;
+  }
+
+  /**
+   * @private
+   * @param {number} now
+   */
+  prune(now) {
+    for (const [key, seenAt] of this.seen) {
+      if (now - seenAt < this.windowMs) break;
+      this.seen.delete(key);
+    }
+  }
+}
+
+export {
+  EventDeduplicator
+}
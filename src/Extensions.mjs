@@ -1,5 +1,33 @@
-import { Robot } from 'hubot'
-import { ReactionMessage, FileSharedMessage, MeMessage } from './Message.mjs'
+import { Robot, Response } from 'hubot'
+import { ReactionMessage, FileSharedMessage, MeMessage, SlashCommandMessage, BlockActionMessage, ViewSubmissionMessage, ViewClosedMessage, ShortcutMessage, MessageShortcutMessage, AppHomeOpenedMessage, BlockSuggestionMessage, WorkflowFunctionMessage } from './Message.mjs'
+import { SlashCommandResponse, BlockActionResponse, ViewSubmissionResponse, InteractiveResponse, AppHomeResponse, OptionsResponse, WorkflowFunctionResponse } from './Responses.mjs'
+
+/**
+ * Match an ID against a string or a pattern
+ *
+ * @private
+ * @param {string|RegExp} expected
+ * @param {string} id
+ * @returns {Array|boolean} the pattern's match, or whether the strings are equal
+ */
+const matchId = (expected, id) => expected instanceof RegExp ? id?.match(expected) : id === expected;
+
+/**
+ * Run Hubot's response middleware, as `send()` does, before handing the strings to the adapter
+ *
+ * @private
+ * @param {Response} response
+ * @param {string} method - the name middleware sees in `context.method`
+ * @param {Array} strings
+ * @param {Function} send - called with the strings after middleware changed them
+ * @returns {Promise<*>} what `send` returns, or undefined if middleware stopped the response
+ */
+const runWithMiddleware = async (response, method, strings, send) => {
+  const context = { response, strings, method, plaintext: true };
+  const shouldContinue = await response.robot.middleware.response.execute(context);
+  if (shouldContinue === false) return;
+  return send(context.strings);
+};
 
 /**
  * Adds a Listener for ReactionMessages with the provided matcher, options, and callback
@@ -27,6 +55,44 @@ Robot.prototype.hearReaction = function(matcher, options, callback) {
   return this.listen(matchReaction, options, callback);
 };
 
+/**
+ * Adds a Listener for a global shortcut. The callback gets an InteractiveResponse whose `openView()` uses the
+ * shortcut's `trigger_id`.
+ *
+ * @public
+ * @param {string|RegExp} callbackId - the `callback_id` of the shortcut, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with an InteractiveResponse when the shortcut is run
+ */
+Robot.prototype.onShortcut = function(callbackId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchShortcut = msg => msg instanceof ShortcutMessage && matchId(callbackId, msg.callback_id);
+
+  return this.listen(matchShortcut, options, res => callback(new InteractiveResponse(res.robot, res.message, res.match)));
+};
+
+/**
+ * Adds a Listener for a message shortcut. `response.message` has the target message's text, user, channel and
+ * permalink. The callback gets an InteractiveResponse whose `openView()` uses the shortcut's `trigger_id`.
+ *
+ * @public
+ * @param {string|RegExp} callbackId - the `callback_id` of the shortcut, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with an InteractiveResponse when the shortcut is run
+ */
+Robot.prototype.onMessageShortcut = function(callbackId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchShortcut = msg => msg instanceof MessageShortcutMessage && matchId(callbackId, msg.callback_id);
+
+  return this.listen(matchShortcut, options, res => callback(new InteractiveResponse(res.robot, res.message, res.match)));
+};
+
 /**
  * Adds a Listener for MeMessages with the provided matcher, options, and callback
  *
@@ -79,4 +145,246 @@ Robot.prototype.fileShared = function(matcher, options, callback) {
   return this.listen(matchFileShare, options, callback);
 };
 
-// NOTE: extend Response type with a method for creating a new thread from the incoming message
+/**
+ * Adds a Listener for a slash command. The callback gets a SlashCommandResponse, which answers through the command's
+ * `response_url`.
+ *
+ * @public
+ * @param {string} command - the command, such as `/deploy`. The leading slash is optional.
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with a SlashCommandResponse when the command is run
+ */
+Robot.prototype.slashCommand = function(command, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const name = command.startsWith("/") ? command : `/${command}`;
+  const matchCommand = msg => msg instanceof SlashCommandMessage && msg.command === name;
+
+  return this.listen(matchCommand, options, res => callback(new SlashCommandResponse(res.robot, res.message, res.match)));
+};
+
+/**
+ * Adds a Listener for Block Kit actions, such as button clicks and menu selections. The callback gets a
+ * BlockActionResponse, which can update or delete the message the action was taken in.
+ *
+ * @public
+ * @param {string|RegExp} actionId - the `action_id` to listen for, or a pattern it must match. A pattern's match is
+ * available on `response.match`.
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with a BlockActionResponse when the action is taken
+ */
+Robot.prototype.onAction = function(actionId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchAction = msg => msg instanceof BlockActionMessage && matchId(actionId, msg.action_id);
+
+  return this.listen(matchAction, options, res => callback(new BlockActionResponse(res.robot, res.message, res.match)));
+};
+
+/**
+ * Adds a Listener for modal submissions. The callback gets a ViewSubmissionResponse, and the parsed inputs are on
+ * `response.message.values`. To keep the modal open with errors, call `response.errors()` or return `{ errors }`.
+ *
+ * @public
+ * @param {string|RegExp} callbackId - the `callback_id` of the view, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with a ViewSubmissionResponse when the view is submitted
+ */
+Robot.prototype.onViewSubmission = function(callbackId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchView = msg => msg instanceof ViewSubmissionMessage && matchId(callbackId, msg.callback_id);
+
+  return this.listen(matchView, options, async res => {
+    const response = new ViewSubmissionResponse(res.robot, res.message, res.match);
+    const result = await callback(response);
+    await response.answerWith(result);
+    return result;
+  });
+};
+
+/**
+ * Adds a Listener for modals being closed. Slack only sends these for views opened with `notify_on_close: true`.
+ *
+ * @public
+ * @param {string|RegExp} callbackId - the `callback_id` of the view, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with a Response when the view is closed
+ */
+Robot.prototype.onViewClosed = function(callbackId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchView = msg => msg instanceof ViewClosedMessage && matchId(callbackId, msg.callback_id);
+
+  return this.listen(matchView, options, res => callback(new InteractiveResponse(res.robot, res.message, res.match)));
+};
+
+/**
+ * Adds a Listener for users opening the app's Home tab. The callback gets an AppHomeResponse, whose `publish()` renders
+ * the user's Home view.
+ *
+ * @public
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with an AppHomeResponse when a user opens the Home tab
+ */
+Robot.prototype.onAppHomeOpened = function(options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchHome = msg => msg instanceof AppHomeOpenedMessage && msg.tab === "home";
+
+  return this.listen(matchHome, options, res => callback(new AppHomeResponse(res.robot, res.message, res.match)));
+};
+
+/**
+ * Adds a Listener that loads the options of a select menu with an external data source. The callback gets what the
+ * user typed and returns the options: strings, Block Kit options, `{ options }` or `{ option_groups }`. Options must be
+ * ready within 2 seconds; a slow or failing callback gives the menu an empty list.
+ *
+ * @public
+ * @param {string|RegExp} actionId - the `action_id` of the menu, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with the query and an OptionsResponse
+ */
+Robot.prototype.onOptions = function(actionId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchSuggestion = msg => msg instanceof BlockSuggestionMessage && matchId(actionId, msg.action_id);
+
+  return this.listen(matchSuggestion, options, res => {
+    const response = new OptionsResponse(res.robot, res.message, res.match);
+    return response.answer(() => callback(res.message.value, response));
+  });
+};
+
+/**
+ * Adds a Listener for runs of a custom step the app provides to Workflow Builder. The callback gets the step's inputs
+ * and returns its outputs; the run is completed with them. If the callback throws, the run fails with the error's
+ * message.
+ *
+ * @public
+ * @param {string|RegExp} callbackId - the `callback_id` of the function, or a pattern it must match
+ * @param {Object} [options] - an object of additional parameters keyed on extension name.
+ * @param {Function} callback - a function that is called with the inputs and a WorkflowFunctionResponse
+ */
+Robot.prototype.onWorkflowFunction = function(callbackId, options, callback) {
+  if (!callback) {
+    callback = options;
+    options = {};
+  }
+  const matchFunction = msg => msg instanceof WorkflowFunctionMessage && matchId(callbackId, msg.callback_id);
+
+  return this.listen(matchFunction, options, res => {
+    const response = new WorkflowFunctionResponse(res.robot, res.message, res.match);
+    return response.run(() => callback(res.message.inputs, response));
+  });
+};
+
+/**
+ * Sends messages only the user who sent the message can see, in the same conversation and thread. When Slack can't
+ * show an ephemeral message there, because the user or the bot isn't in the conversation, they're sent as a DM.
+ * Response middleware runs as it does for `send()`.
+ *
+ * @public
+ * @param {...(string|Object)} strings - strings, or message objects with `text` and/or `blocks`
+ * @returns {Promise<Array>} the Slack responses
+ */
+Response.prototype.sendEphemeral = async function(...strings) {
+  return runWithMiddleware(this, "sendEphemeral", strings, strings => this.robot.adapter.sendEphemeral(this.envelope, ...strings));
+};
+
+/**
+ * Replies in the thread of the message being answered, starting a thread when it's a top-level message. Pass a message
+ * object with `reply_broadcast: true` to also show the reply in the channel.
+ *
+ * @public
+ * @param {...(string|Object)} strings - strings, or message objects with `text` and/or `blocks`
+ * @returns {Promise<Array<MessageRef|undefined>>}
+ */
+Response.prototype.replyInThread = async function(...strings) {
+  return runWithMiddleware(this, "replyInThread", strings, strings => this.robot.adapter.replyInThread(this.envelope, ...strings));
+};
+
+/**
+ * Adds a reaction to the message being answered
+ *
+ * @public
+ * @param {string} emoji - the emoji name, with or without colons, such as `thumbsup` or `:thumbsup:`
+ * @returns {Promise<void>}
+ */
+Response.prototype.react = async function(emoji) {
+  return this.robot.adapter.react(this.envelope, emoji);
+};
+
+/**
+ * Removes the bot's reaction from the message being answered
+ *
+ * @public
+ * @param {string} emoji - the emoji name, with or without colons
+ * @returns {Promise<void>}
+ */
+Response.prototype.unreact = async function(emoji) {
+  return this.robot.adapter.unreact(this.envelope, emoji);
+};
+
+/**
+ * Edits a message the bot sent, for example to turn "Deploying..." into "Deployed" instead of posting again
+ *
+ * @public
+ * @param {MessageRef} ref - as resolved by `send()` or `reply()`
+ * @param {string|Object} message - the new content, a string or a message object with `text` and/or `blocks`
+ * @returns {Promise<MessageRef>}
+ */
+Response.prototype.updateMessage = async function(ref, message) {
+  return this.robot.adapter.updateMessage(ref, message, this.message?.authorization);
+};
+
+/**
+ * Deletes a message the bot sent
+ *
+ * @public
+ * @param {MessageRef} ref - as resolved by `send()` or `reply()`
+ * @returns {Promise<Object>} the `chat.delete` response
+ */
+Response.prototype.deleteMessage = async function(ref) {
+  return this.robot.adapter.deleteMessage(ref, this.message?.authorization);
+};
+
+/**
+ * Schedules messages for Slack to post in the same conversation and thread at a later time, even if the bot isn't
+ * running then. The scheduled messages are remembered in `robot.adapter.scheduledMessages`.
+ *
+ * @public
+ * @param {Date|number|string} date - when to post, within the next 120 days
+ * @param {...(string|Object)} strings - strings, or message objects with `text` and/or `blocks`
+ * @returns {Promise<ScheduledMessage[]>}
+ */
+Response.prototype.sendAt = async function(date, ...strings) {
+  return runWithMiddleware(this, "sendAt", strings, strings => this.robot.adapter.scheduleMessage(this.envelope, date, ...strings));
+};
+
+/**
+ * Acknowledges the Slack envelope the message arrived in, optionally with a response payload. Only works while the
+ * ack is deferred, which is the case for payloads that accept a response and for all events in deferred-ack mode.
+ *
+ * @public
+ * @param {Object} [payload] - the response payload
+ * @returns {Promise<boolean>} false if the envelope was already acknowledged
+ */
+Response.prototype.ack = async function(payload) {
+  if (typeof this.message?.ack !== "function") {
+    return false;
+  }
+  return this.message.ack(payload);
+};
@@ -0,0 +1,204 @@
+import { EventEmitter } from 'node:events'
+import { createHmac, timingSafeEqual } from 'node:crypto'
+
+class HttpReceiver extends EventEmitter {
+  static MAX_REQUEST_AGE_SECONDS = 60 * 5;
+
+  /**
+   * Receives Slack Events API requests on `robot.router` instead of a Socket Mode websocket. Incoming requests are
+   * emitted with the same payload shape and event names as SocketModeClient so that SlackClient can subscribe to
+   * either one.
+   *
+   * @constructor
+   * @param {Robot} robot - the Hubot robot whose router and HTTP server will receive requests
+   * @param {Object} options
+   * @param {string} options.signingSecret - the Slack app's signing secret used to verify requests
+   * @param {string} [options.path] - the route to mount the endpoint on, defaults to `/slack/events`
+   */
+  constructor(robot, options) {
+    super();
+    this.robot = robot;
+    this.signingSecret = options.signingSecret;
+    this.path = options.path ?? "/slack/events";
+    this.autoReconnectEnabled = false;
+    this.shuttingDown = true;
+    this.mounted = false;
+    this.tapping = false;
+    this.rawBodyTap = this.rawBodyTap.bind(this);
+  }
+
+  /**
+   * Mount the endpoint. Mirrors SocketModeClient#start() by emitting `connecting`, `authenticated` and `connected`.
+   * @public
+   */
+  async start() {
+    this.emit("connecting");
+    if (typeof this.robot.router?.post !== "function" || this.robot.server == null) {
+      throw new Error(`Cannot mount the Slack Events API endpoint on ${this.path} because the Hubot HTTP server is not running.`);
+    }
+    if (!this.tapping) {
+      this.robot.server.prependListener("request", this.rawBodyTap);
+      this.tapping = true;
+    }
+    if (!this.mounted) {
+      this.robot.router.post(this.path, this.handleRequest.bind(this));
+      this.mounted = true;
+    }
+    this.shuttingDown = false;
+    this.robot.logger.info(`Receiving Slack events on ${this.path}`);
+    this.emit("authenticated", { ok: true });
+    this.emit("connected");
+  }
+
+  /**
+   * Stop accepting requests. Express cannot unmount a route, so requests after this are answered with a 503.
+   * @public
+   */
+  async disconnect() {
+    this.shuttingDown = true;
+    this.robot.server?.removeListener("request", this.rawBodyTap);
+    this.tapping = false;
+    this.emit("disconnecting");
+    this.emit("close");
+    this.emit("disconnected");
+  }
+
+  /**
+   * Answer new requests with a 503 so Slack retries them elsewhere, while requests already being handled finish
+   * @public
+   */
+  pause() {
+    this.shuttingDown = true;
+  }
+
+  /**
+   * Hubot's body parsers consume the request stream before our route runs, but the signature has to be computed over
+   * the exact bytes Slack sent. Keep a copy of the raw body for requests to our path.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   */
+  rawBodyTap(req) {
+    if (req.method !== "POST" || req.url?.split("?")[0] !== this.path) return;
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      req.rawBody = Buffer.concat(chunks).toString("utf8");
+    });
+  }
+
+  /**
+   * Verify the `X-Slack-Signature` header against the raw body and the `X-Slack-Request-Timestamp` header.
+   *
+   * @private
+   * @param {Object} headers - the request headers
+   * @param {string} rawBody - the unparsed request body
+   * @returns {boolean}
+   */
+  verifySignature(headers, rawBody) {
+    const signature = headers["x-slack-signature"];
+    const timestamp = parseInt(headers["x-slack-request-timestamp"], 10);
+    if (!signature || isNaN(timestamp) || rawBody == null) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > HttpReceiver.MAX_REQUEST_AGE_SECONDS) {
+      this.robot.logger.debug(`Rejecting Slack request with stale timestamp ${timestamp}`);
+      return false;
+    }
+    const expected = `v0=${createHmac("sha256", this.signingSecret).update(`v0:${timestamp}:${rawBody}`).digest("hex")}`;
+    const a = Buffer.from(signature, "utf8");
+    const b = Buffer.from(expected, "utf8");
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  /**
+   * Parse a request body. Events are sent as JSON, slash commands as a form and interactive payloads as a form with
+   * a JSON `payload` field.
+   *
+   * @private
+   * @param {string} contentType
+   * @param {string} rawBody
+   * @returns {Object}
+   */
+  parseBody(contentType, rawBody) {
+    if (contentType?.includes("application/x-www-form-urlencoded")) {
+      const form = Object.fromEntries(new URLSearchParams(rawBody));
+      return form.payload != null ? JSON.parse(form.payload) : form;
+    }
+    return JSON.parse(rawBody);
+  }
+
+  /**
+   * Express route handler for the Events API endpoint
+   *
+   * @private
+   * @param {express.Request} req
+   * @param {express.Response} res
+   */
+  async handleRequest(req, res) {
+    if (this.shuttingDown) {
+      return res.status(503).end();
+    }
+    if (req.rawBody == null && !req.complete) {
+      await new Promise(resolve => req.once("end", resolve));
+    }
+    if (!this.verifySignature(req.headers, req.rawBody)) {
+      this.robot.logger.error(`Rejected a request to ${this.path} with an invalid Slack signature`);
+      return res.status(401).end();
+    }
+
+    let body;
+    try {
+      body = this.parseBody(req.headers["content-type"], req.rawBody);
+    } catch (error) {
+      this.robot.logger.error(error, `Could not parse Slack request body: ${error.message}`);
+      return res.status(400).end();
+    }
+
+    if (body.type === "url_verification") {
+      return res.json({ challenge: body.challenge });
+    }
+    if (body.ssl_check) {
+      return res.status(200).end();
+    }
+
+    let acked = false;
+    const ack = async (response) => {
+      if (acked) return;
+      acked = true;
+      if (response == null) {
+        res.status(200).end();
+      } else {
+        res.status(200).json(response);
+      }
+    };
+
+    const retryNum = req.headers["x-slack-retry-num"];
+    let handled;
+    if (body.type === "event_callback") {
+      handled = this.emit(body.event.type, {
+        ack,
+        envelope_id: body.event_id,
+        body,
+        event: body.event,
+        retry_num: retryNum != null ? parseInt(retryNum, 10) : undefined,
+        retry_reason: req.headers["x-slack-retry-reason"],
+        accepts_response_payload: false
+      });
+    } else {
+      const type = body.command != null ? "slash_commands" : "interactive";
+      handled = this.emit(type, {
+        ack,
+        envelope_id: body.trigger_id ?? body.event_id,
+        body,
+        accepts_response_payload: true
+      });
+    }
+    // Slack retries anything that isn't answered, so answer events nobody subscribed to
+    if (!handled) {
+      await ack();
+    }
+  }
+}
+
+export {
+  HttpReceiver
+}
@@ -0,0 +1,108 @@
+import { SlackIdentity } from './SlackAdapter.mjs'
+
+/**
+ * Describes which workspace or Enterprise Grid organization an event belongs to
+ *
+ * @typedef {Object} InstallationQuery
+ * @property {string} [teamId] - the workspace ID
+ * @property {string} [enterpriseId] - the Enterprise Grid organization ID
+ * @property {boolean} [isEnterpriseInstall] - true when the app is installed org-wide
+ */
+
+class InstallationStore {
+  /**
+   * Interface for looking up the bot token to use for a workspace. Extend this class (or implement the same methods)
+   * to keep installations somewhere other than the Hubot brain.
+   *
+   * @constructor
+   */
+  constructor() {}
+
+  /**
+   * @public
+   * @param {InstallationQuery} query
+   * @returns {Promise<SlackIdentity|undefined>}
+   */
+  async fetchInstallation(query) {
+    throw new Error(`${this.constructor.name}#fetchInstallation() is not implemented`);
+  }
+
+  /**
+   * @public
+   * @param {SlackIdentity} installation
+   * @returns {Promise<void>}
+   */
+  async storeInstallation(installation) {
+    throw new Error(`${this.constructor.name}#storeInstallation() is not implemented`);
+  }
+
+  /**
+   * @public
+   * @param {InstallationQuery} query
+   * @returns {Promise<void>}
+   */
+  async deleteInstallation(query) {
+    throw new Error(`${this.constructor.name}#deleteInstallation() is not implemented`);
+  }
+}
+
+class BrainInstallationStore extends InstallationStore {
+  static BRAIN_KEY = "slack.installations";
+
+  /**
+   * Keeps installations in the Hubot brain, keyed by workspace ID or, for org-wide installs, by enterprise ID
+   *
+   * @constructor
+   * @param {Brain} brain - the Hubot brain
+   */
+  constructor(brain) {
+    super();
+    this.brain = brain;
+  }
+
+  /**
+   * @private
+   * @param {InstallationQuery} query
+   * @returns {string|undefined}
+   */
+  static keyFor({ teamId, enterpriseId, isEnterpriseInstall }) {
+    if (isEnterpriseInstall && enterpriseId) return `enterprise:${enterpriseId}`;
+    if (teamId) return `team:${teamId}`;
+    if (enterpriseId) return `enterprise:${enterpriseId}`;
+  }
+
+  async fetchInstallation(query) {
+    const installations = this.brain.get(BrainInstallationStore.BRAIN_KEY) ?? {};
+    let installation = installations[BrainInstallationStore.keyFor(query)];
+    // A workspace in an Enterprise Grid org is covered by an org-wide install
+    if (installation == null && query.enterpriseId) {
+      installation = installations[`enterprise:${query.enterpriseId}`];
+    }
+    return installation != null ? new SlackIdentity(installation) : undefined;
+  }
+
+  async storeInstallation(installation) {
+    const key = BrainInstallationStore.keyFor({
+      teamId: installation.team_id,
+      enterpriseId: installation.enterprise_id,
+      isEnterpriseInstall: installation.is_enterprise_install
+    });
+    if (key == null) {
+      throw new Error("Cannot store an installation without a team_id or enterprise_id");
+    }
+    const installations = { ...(this.brain.get(BrainInstallationStore.BRAIN_KEY) ?? {}) };
+    installations[key] = { ...new SlackIdentity(installation) };
+    this.brain.set(BrainInstallationStore.BRAIN_KEY, installations);
+  }
+
+  async deleteInstallation(query) {
+    const installations = { ...(this.brain.get(BrainInstallationStore.BRAIN_KEY) ?? {}) };
+    delete installations[BrainInstallationStore.keyFor(query)];
+    this.brain.set(BrainInstallationStore.BRAIN_KEY, installations);
+  }
+}
+
+export {
+  InstallationStore,
+  BrainInstallationStore
+}
@@ -46,6 +46,315 @@ class FileSharedMessage extends Message {
   }
 }
 
+class SlashCommandMessage extends Message {
+
+  /**
+   * Represents a slash command invocation, such as `/deploy app@sha`
+   *
+   * @constructor
+   * @param {User} user - A User instance that invoked the command.
+   * @param {Object} body - The slash command payload.
+   * @param {string} body.command - The command, including the leading slash.
+   * @param {string} body.text - Everything typed after the command.
+   * @param {string} body.channel_id - The conversation the command was invoked in.
+   * @param {string} body.response_url - A URL that accepts up to 5 responses within 30 minutes.
+   * @param {string} body.trigger_id - A short-lived ID for opening a modal.
+   */
+  constructor(user, body) {
+    super(user);
+    this.user = user;
+    this.command = body.command;
+    this.text = body.text ?? "";
+    this.channel_id = body.channel_id;
+    this.channel_name = body.channel_name;
+    this.response_url = body.response_url;
+    // The response URL expires 30 minutes after the payload was sent
+    this.receivedAt = Date.now();
+    this.trigger_id = body.trigger_id;
+    this.body = body;
+  }
+
+  /**
+   * @returns {string} the command as the user typed it
+   */
+  toString() {
+    return `${this.command} ${this.text}`.trim();
+  }
+}
+
+/**
+ * The value of an interactive element, whatever its type. Multi-selects give an array.
+ *
+ * @param {Object} element - a Block Kit action, or an element of `state.values`
+ * @returns {*}
+ */
+function elementValue(element) {
+  if (element == null) return undefined;
+  if (element.selected_option !== undefined) return element.selected_option?.value ?? null;
+  if (element.selected_options !== undefined) return element.selected_options.map(option => option.value);
+  for (const key of ["selected_user", "selected_users", "selected_channel", "selected_channels", "selected_conversation",
+    "selected_conversations", "selected_date", "selected_time", "selected_date_time", "rich_text_value", "value"]) {
+    if (element[key] !== undefined) return element[key];
+  }
+  return undefined;
+}
+
+/**
+ * Turn the `state.values` of a message or view into `{ [block_id]: { [action_id]: value } }`
+ *
+ * @param {Object} [state] - the `state` of a payload
+ * @returns {Object}
+ */
+function parseStateValues(state) {
+  const values = {};
+  for (const [blockId, elements] of Object.entries(state?.values ?? {})) {
+    values[blockId] = {};
+    for (const [actionId, element] of Object.entries(elements)) {
+      values[blockId][actionId] = elementValue(element);
+    }
+  }
+  return values;
+}
+
+class BlockActionMessage extends Message {
+
+  /**
+   * Represents a click on a button, a choice in a select or overflow menu, or another Block Kit action
+   *
+   * @constructor
+   * @param {User} user - A User instance that took the action.
+   * @param {Object} action - The action from the payload's `actions`.
+   * @param {Object} body - The block_actions payload.
+   */
+  constructor(user, action, body) {
+    super(user);
+    this.user = user;
+    this.action = action;
+    this.action_id = action.action_id;
+    this.block_id = action.block_id;
+    this.value = elementValue(action);
+    // Values of the other inputs in the message or view the action was taken in
+    this.values = parseStateValues(body.state ?? body.view?.state);
+    this.channel_id = body.channel?.id ?? body.container?.channel_id;
+    this.message_ts = body.message?.ts ?? body.container?.message_ts;
+    this.thread_ts = body.message?.thread_ts;
+    this.response_url = body.response_url;
+    this.receivedAt = Date.now();
+    this.trigger_id = body.trigger_id;
+    this.body = body;
+  }
+
+  /**
+   * @returns {string} the action ID and value
+   */
+  toString() {
+    return `${this.action_id}: ${this.value}`;
+  }
+}
+
+class ViewSubmissionMessage extends Message {
+
+  /**
+   * Represents a user submitting a modal
+   *
+   * @constructor
+   * @param {User} user - A User instance that submitted the view.
+   * @param {Object} body - The view_submission payload.
+   */
+  constructor(user, body) {
+    super(user);
+    this.user = user;
+    this.view = body.view;
+    this.callback_id = body.view?.callback_id;
+    this.view_id = body.view?.id;
+    this.private_metadata = body.view?.private_metadata;
+    this.values = parseStateValues(body.view?.state);
+    this.response_urls = body.response_urls ?? [];
+    this.trigger_id = body.trigger_id;
+    this.body = body;
+  }
+
+  toString() {
+    return `${this.callback_id} submitted`;
+  }
+}
+
+class ViewClosedMessage extends Message {
+
+  /**
+   * Represents a user closing a modal with notify_on_close set
+   *
+   * @constructor
+   * @param {User} user - A User instance that closed the view.
+   * @param {Object} body - The view_closed payload.
+   */
+  constructor(user, body) {
+    super(user);
+    this.user = user;
+    this.view = body.view;
+    this.callback_id = body.view?.callback_id;
+    this.view_id = body.view?.id;
+    this.private_metadata = body.view?.private_metadata;
+    this.values = parseStateValues(body.view?.state);
+    // true when the whole stack of views was closed
+    this.is_cleared = body.is_cleared ?? false;
+    this.body = body;
+  }
+
+  toString() {
+    return `${this.callback_id} closed`;
+  }
+}
+
+class ShortcutMessage extends Message {
+
+  /**
+   * Represents a global shortcut, run from the shortcuts menu or the search bar
+   *
+   * @constructor
+   * @param {User} user - A User instance that ran the shortcut.
+   * @param {Object} body - The shortcut payload.
+   */
+  constructor(user, body) {
+    super(user);
+    this.user = user;
+    this.callback_id = body.callback_id;
+    this.trigger_id = body.trigger_id;
+    this.body = body;
+  }
+
+  toString() {
+    return this.callback_id;
+  }
+}
+
+class MessageShortcutMessage extends Message {
+
+  /**
+   * Represents a message shortcut, run from the "More actions" menu of a message
+   *
+   * @constructor
+   * @param {User} user - A User instance that ran the shortcut.
+   * @param {Object} body - The message_action payload.
+   * @param {Function} [fetchPermalink] - Fetches a link to the message the shortcut was run on.
+   */
+  constructor(user, body, fetchPermalink) {
+    super(user);
+    this.user = user;
+    this.callback_id = body.callback_id;
+    this.trigger_id = body.trigger_id;
+    this.channel_id = body.channel?.id;
+    this.message = body.message;
+    this.message_text = body.message?.text ?? "";
+    this.message_user = body.message?.user ?? body.message?.bot_id;
+    this.message_ts = body.message_ts ?? body.message?.ts;
+    this.thread_ts = body.message?.thread_ts;
+    this.response_url = body.response_url;
+    this.receivedAt = Date.now();
+    this.body = body;
+    this._fetchPermalink = fetchPermalink;
+    this._permalink = null;
+  }
+
+  /**
+   * A link to the message the shortcut was run on, fetched the first time it's read so it doesn't hold up opening a
+   * modal with the `trigger_id`
+   *
+   * @returns {Promise<string|undefined>} undefined if the link couldn't be fetched
+   */
+  get permalink() {
+    this._permalink ??= Promise.resolve(this._fetchPermalink?.());
+    return this._permalink;
+  }
+
+  toString() {
+    return `${this.callback_id}: ${this.message_text}`;
+  }
+}
+
+class AppHomeOpenedMessage extends Message {
+
+  /**
+   * Represents a user opening the app's Home or Messages tab
+   *
+   * @constructor
+   * @param {User} user - A User instance that opened the tab.
+   * @param {Object} event - The app_home_opened event.
+   */
+  constructor(user, event) {
+    super(user);
+    this.user = user;
+    this.tab = event.tab;
+    this.channel_id = event.channel;
+    // The Home view currently published for the user, if there is one
+    this.view = event.view;
+    this.event_ts = event.event_ts;
+  }
+
+  toString() {
+    return `${this.tab} opened`;
+  }
+}
+
+class BlockSuggestionMessage extends Message {
+
+  /**
+   * Represents a select menu with an external data source asking for options while the user types
+   *
+   * @constructor
+   * @param {User} user - A User instance that is typing in the menu.
+   * @param {Object} body - The block_suggestion payload.
+   */
+  constructor(user, body) {
+    super(user);
+    this.user = user;
+    this.action_id = body.action_id;
+    this.block_id = body.block_id;
+    // What the user has typed so far
+    this.value = body.value ?? "";
+    this.channel_id = body.channel?.id ?? body.container?.channel_id;
+    this.view = body.view;
+    this.body = body;
+  }
+
+  toString() {
+    return `${this.action_id}: ${this.value}`;
+  }
+}
+
+class WorkflowFunctionMessage extends Message {
+
+  /**
+   * Represents a run of a custom step the app provides to Workflow Builder
+   *
+   * @constructor
+   * @param {User} user - A User standing in for the workflow, which isn't run by a particular user.
+   * @param {Object} event - The function_executed event.
+   * @param {Object} event.function - The function definition, with `callback_id`, `input_parameters` and `output_parameters`.
+   * @param {Object} event.inputs - The values of the step's inputs, keyed by input name.
+   * @param {string} event.function_execution_id - The ID that completes this run.
+   * @param {string} event.bot_access_token - A token scoped to the run, used to complete it.
+   */
+  constructor(user, event) {
+    super(user);
+    this.user = user;
+    this.function = event.function;
+    this.callback_id = event.function?.callback_id;
+    this.inputs = event.inputs ?? {};
+    this.execution_id = event.function_execution_id;
+    this.workflow_execution_id = event.workflow_execution_id;
+    this.bot_access_token = event.bot_access_token;
+    this.event_ts = event.event_ts;
+    this.event = event;
+    // Set once a `robot.onWorkflowFunction()` listener takes the run
+    this.handled = false;
+  }
+
+  toString() {
+    return `${this.callback_id}: ${this.execution_id}`;
+  }
+}
+
 class MeMessage extends TextMessage {
 
   /**
@@ -126,7 +435,7 @@ class SlackTextMessage extends TextMessage {
     // Replace links in text async to fetch user and channel info (if present)
     const mentionFormatting = this.replaceLinks(client, text);
     // Fetch conversation info
-    const fetchingConversationInfo = client.fetchConversation(this._channel_id);
+    const fetchingConversationInfo = client.fetchConversation(this._channel_id, this.authorization);
     let results = [];
     try {
       results = await Promise.all([mentionFormatting, fetchingConversationInfo]);
@@ -218,7 +527,7 @@ class SlackTextMessage extends TextMessage {
    * @returns {Promise<string>} - a string that can be placed into the text for this mention
    */
   replaceUser(client, id, mentions) {
-    return client.fetchUser(id)
+    return client.fetchUser(id, this.authorization)
       .then(res => {
         mentions.push(new SlackMention(res.id, "user", res));
         return `@${res.name}`;
@@ -238,7 +547,7 @@ class SlackTextMessage extends TextMessage {
    * @returns {Promise<string>} - a string that can be placed into the text for this mention
    */
   replaceConversation(client, id, mentions) {
-    return client.fetchConversation(id)
+    return client.fetchConversation(id, this.authorization)
       .then(conversation => {
         if (conversation != null) {
           mentions.push(new SlackMention(conversation.id, "conversation", conversation));
@@ -267,13 +576,15 @@ class SlackTextMessage extends TextMessage {
    * @param {string} robot_name - The Slack username for this robot
    * @param {string} robot_alias - The alias for this robot
    * @param {SlackClient} client - client used to fetch more data
+   * @param {InstallationQuery} [authorization] - the workspace the message came from, whose token is used to fetch it
    * @param {function} cb - callback to return the result
    */
-  static async makeSlackTextMessage(user, text, rawText, rawMessage, channel_id, robot_name, robot_alias, client) {
+  static async makeSlackTextMessage(user, text, rawText, rawMessage, channel_id, robot_name, robot_alias, client, authorization) {
     if(rawMessage?.subtype) {
       return new TopicMessage(user, rawMessage.text, rawMessage.event_ts)
     }
     const message = new SlackTextMessage(user, text, rawText, rawMessage, channel_id, robot_name, robot_alias);
+    message.authorization = authorization;
     if (message.text !== null) return message;
     message.text = await message.buildText(client);
     return message;
@@ -283,5 +594,16 @@ export {
   SlackTextMessage,
   ReactionMessage,
   FileSharedMessage,
-  MeMessage
+  SlashCommandMessage,
+  BlockActionMessage,
+  ViewSubmissionMessage,
+  ViewClosedMessage,
+  ShortcutMessage,
+  MessageShortcutMessage,
+  AppHomeOpenedMessage,
+  BlockSuggestionMessage,
+  WorkflowFunctionMessage,
+  MeMessage,
+  elementValue,
+  parseStateValues
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+const FENCE = "```";
+
+/**
+ * @private
+ * @param {string} line
+ * @returns {boolean} true if the line opens or closes a code block
+ */
+const togglesFence = line => line.split(FENCE).length % 2 === 0;
+
+/**
+ * Split text into messages of at most `maxLength` characters. Text is split between lines, and only lines that don't
+ * fit in a message of their own are cut. When a split falls inside a ``` code block, the block is closed at the end of
+ * one message and opened again, with the same language, at the start of the next.
+ *
+ * @param {string} text
+ * @param {number} maxLength - the most characters in one message
+ * @returns {string[]} the messages, in order
+ */
+function splitText(text, maxLength) {
+  if (text.length <= maxLength) return [text];
+
+  const messages = [];
+  let lines = [];
+  let length = -1;
+  // The line that opened the code block we're in, if we're in one, and where it is in `lines`
+  let opener = null;
+  let openerIndex = -1;
+
+  const add = line => {
+    lines.push(line);
+    length += line.length + 1;
+  };
+  // Leave room to close the code block we're in after the line, including one the line opens
+  const reserved = line => (opener != null) !== (line != null && togglesFence(line)) ? FENCE.length + 1 : 0;
+  const fits = line => length + 1 + line.length + reserved(line) <= maxLength;
+  const hasContent = () => lines.length > (openerIndex === 0 ? 1 : 0);
+  const flush = () => {
+    if (openerIndex > 0 && openerIndex === lines.length - 1) {
+      // Nothing is in the code block yet, so open it in the next message instead
+      lines.pop();
+    } else if (opener != null) {
+      lines.push(FENCE);
+    }
+    messages.push(lines.join("\n"));
+    lines = [];
+    length = -1;
+    openerIndex = -1;
+    if (opener != null) {
+      add(opener);
+      openerIndex = 0;
+    }
+  };
+
+  for (const line of text.split("\n")) {
+    let rest = line;
+    while (!fits(rest)) {
+      if (hasContent()) {
+        flush();
+        continue;
+      }
+      const cut = Math.max(1, maxLength - reserved() - (length + 1));
+      add(rest.slice(0, cut));
+      rest = rest.slice(cut);
+      flush();
+    }
+    add(rest);
+    if (togglesFence(line)) {
+      opener = opener == null ? line.trim() : null;
+      openerIndex = opener == null ? -1 : lines.length - 1;
+    }
+  }
+  if (hasContent()) {
+    messages.push(lines.join("\n"));
+  }
+  return messages;
+}
+
+export {
+  splitText
+}
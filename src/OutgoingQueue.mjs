@@ -0,0 +1,173 @@
+import { ErrorCode } from '@slack/web-api'
+
+class OutgoingQueue {
+  // Slack allows about one message per second in a conversation
+  static INTERVAL_MS = 1000;
+  static MAX_BACKLOG = 100;
+
+  /**
+   * Paces outgoing messages per conversation. Messages to a conversation are sent one at a time and in order, at most
+   * one every `intervalMs`. When Slack answers with a rate limit, the conversation it was for waits as long as its
+   * Retry-After header asks, or every conversation when it isn't known; the WebClient tries the call again itself. Each
+   * conversation holds at most `maxBacklog` waiting messages; more are dropped.
+   *
+   * Emits on the robot:
+   * - `slack:rate_limited` with `{ channel, retryAfterMs }` when Slack asks to slow down
+   * - `slack:message_delayed` with `{ channel, delayMs }` when a message went out more than `intervalMs` after it was sent
+   * - `slack:message_dropped` with `{ channel, backlog }` when a conversation's backlog is full
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - the least time between two messages to the same conversation
+   * @param {number} [options.maxBacklog] - the most messages waiting for one conversation
+   */
+  constructor(robot, options = {}) {
+    this.robot = robot;
+    this.intervalMs = options.intervalMs ?? OutgoingQueue.INTERVAL_MS;
+    this.maxBacklog = options.maxBacklog ?? OutgoingQueue.MAX_BACKLOG;
+    // Conversation IDs to their waiting messages and when the next one may go out
+    this.channels = new Map();
+    // Holds every conversation back after a rate limit on a call that isn't for one conversation
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * How long a rate-limited call asks to wait
+   *
+   * @public
+   * @param {Error} error
+   * @returns {number|null} milliseconds, or null if the error isn't a rate limit
+   */
+  static retryAfterMs(error) {
+    if (error?.code === ErrorCode.RateLimitedError || error?.code === -1) {
+      return (error.retryAfter ?? 1) * 1000;
+    }
+    return null;
+  }
+
+  /**
+   * The number of messages waiting, in all conversations
+   * @public
+   * @returns {number}
+   */
+  get size() {
+    let size = 0;
+    for (const state of this.channels.values()) size += state.items.length;
+    return size;
+  }
+
+  /**
+   * Send a message when it's the conversation's turn
+   *
+   * @public
+   * @param {string} channel - the conversation ID
+   * @param {Function} send - sends the message and returns a promise of the result
+   * @returns {Promise<*>} the result of `send`
+   */
+  enqueue(channel, send) {
+    const state = this.stateFor(channel);
+    if (state.items.length >= this.maxBacklog) {
+      this.robot.logger.warn(`Dropped a message to ${channel} because ${state.items.length} messages are already waiting`);
+      this.robot.emit("slack:message_dropped", { channel, backlog: state.items.length });
+      return Promise.reject(new Error(`Dropped a message to ${channel} because ${state.items.length} messages are already waiting`));
+    }
+    return new Promise((resolve, reject) => {
+      state.items.push({ send, resolve, reject, queuedAt: Date.now() });
+      this.run(channel, state);
+    });
+  }
+
+  /**
+   * Hold a conversation back after Slack answered with a rate limit, or every conversation when the rate-limited call
+   * wasn't for one
+   *
+   * @public
+   * @param {number} retryAfterMs - how long Slack asked to wait
+   * @param {string} [channel] - the conversation the rate-limited call was for
+   */
+  rateLimited(retryAfterMs, channel) {
+    const until = Date.now() + retryAfterMs;
+    if (channel == null) {
+      this.pausedUntil = Math.max(this.pausedUntil, until);
+      this.robot.logger.warn(`Slack is rate limiting the bot, holding messages back for ${retryAfterMs}ms`);
+    } else {
+      const state = this.stateFor(channel);
+      state.pausedUntil = Math.max(state.pausedUntil, until);
+      this.robot.logger.warn(`Slack is rate limiting the bot in ${channel}, holding messages to it back for ${retryAfterMs}ms`);
+      if (!state.running) this.forgetWhenIdle(channel, state);
+    }
+    this.robot.emit("slack:rate_limited", { channel, retryAfterMs });
+  }
+
+  /**
+   * The state of a conversation, kept until it's idle. See `forgetWhenIdle()`.
+   *
+   * @private
+   * @param {string} channel
+   * @returns {Object}
+   */
+  stateFor(channel) {
+    let state = this.channels.get(channel);
+    if (!state) {
+      state = { items: [], nextAt: 0, pausedUntil: 0, running: false, idleTimer: null };
+      this.channels.set(channel, state);
+    }
+    clearTimeout(state.idleTimer);
+    return state;
+  }
+
+  /**
+   * @private
+   * @param {string} channel
+   * @param {Object} state
+   */
+  async run(channel, state) {
+    if (state.running) return;
+    state.running = true;
+    while (state.items.length > 0) {
+      const wait = Math.max(state.nextAt, state.pausedUntil, this.pausedUntil) - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+        continue;
+      }
+      const item = state.items[0];
+      try {
+        const result = await item.send();
+        state.items.shift();
+        const delayMs = Date.now() - item.queuedAt;
+        if (delayMs > this.intervalMs) {
+          this.robot.emit("slack:message_delayed", { channel, delayMs });
+        }
+        item.resolve(result);
+      } catch (error) {
+        state.items.shift();
+        item.reject(error);
+      }
+      state.nextAt = Date.now() + this.intervalMs;
+    }
+    state.running = false;
+    this.forgetWhenIdle(channel, state);
+  }
+
+  /**
+   * Forget a conversation once its next message could go out right away, so conversations the bot posted in once don't
+   * pile up. Until then the state is kept, so the next message still waits for its turn and for a rate limit to pass.
+   *
+   * @private
+   * @param {string} channel
+   * @param {Object} state
+   */
+  forgetWhenIdle(channel, state) {
+    state.idleTimer = setTimeout(() => {
+      if (!state.running && state.items.length === 0 && this.channels.get(channel) === state) {
+        this.channels.delete(channel);
+      }
+    }, Math.max(0, state.nextAt - Date.now(), state.pausedUntil - Date.now()));
+    state.idleTimer.unref?.();
+  }
+}
+
+export {
+  OutgoingQueue
+}
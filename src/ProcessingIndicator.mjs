@@ -0,0 +1,102 @@
+import { SlackTextMessage } from './Message.mjs'
+
+class ProcessingIndicator {
+  static PROCESSING_EMOJI = "eyes";
+  static SUCCESS_EMOJI = "white_check_mark";
+  static FAILURE_EMOJI = "x";
+
+  /**
+   * Shows on a message that the bot is working on it. When a listener matches a message, the processing emoji is added
+   * to it; once every listener is done, it's swapped for the success emoji, or the failure emoji if a listener threw.
+   * Failing to react is logged and never gets in the way of the listeners.
+   *
+   * @constructor
+   * @param {SlackBot} adapter
+   * @param {Object} [options]
+   * @param {string} [options.processing] - the emoji shown while listeners run
+   * @param {string} [options.success] - the emoji shown when they're done
+   * @param {string} [options.failure] - the emoji shown when one of them threw
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.robot = adapter.robot;
+    this.emoji = {
+      processing: options.processing ?? ProcessingIndicator.PROCESSING_EMOJI,
+      success: options.success ?? ProcessingIndicator.SUCCESS_EMOJI,
+      failure: options.failure ?? ProcessingIndicator.FAILURE_EMOJI
+    };
+    // The messages being processed, and whether a listener failed
+    this.active = new WeakMap();
+  }
+
+  /**
+   * Start watching listeners run
+   * @public
+   */
+  install() {
+    this.robot.listenerMiddleware(context => this.started(context));
+    // Listener errors are caught by Hubot and emitted with the response, or the context when matching failed
+    this.robot.on("error", (error, response) => this.failed(response?.message ?? response?.response?.message));
+  }
+
+  /**
+   * @private
+   * @param {Object} context - the listener middleware context
+   * @returns {boolean} true, so the listener runs
+   */
+  started(context) {
+    const response = context.response;
+    const message = response.message;
+    // Without reactions:write there's nothing to show
+    if (this.adapter.features?.reacting === false) return true;
+    if (message instanceof SlackTextMessage && !this.active.has(message)) {
+      const state = { failed: false };
+      state.reacted = this.react(() => this.adapter.react(response.envelope, this.emoji.processing));
+      this.active.set(message, state);
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   * @param {Message} [message]
+   */
+  failed(message) {
+    const state = message && this.active.get(message);
+    if (state) state.failed = true;
+  }
+
+  /**
+   * Replace the processing emoji with the outcome, once all listeners for the message are done
+   *
+   * @public
+   * @param {Message} message
+   * @returns {Promise<void>}
+   */
+  async finish(message) {
+    const state = this.active.get(message);
+    if (!state) return;
+    this.active.delete(message);
+    const envelope = { room: message.room, user: message.user, message };
+    await state.reacted;
+    await this.react(() => this.adapter.unreact(envelope, this.emoji.processing));
+    await this.react(() => this.adapter.react(envelope, state.failed ? this.emoji.failure : this.emoji.success));
+  }
+
+  /**
+   * @private
+   * @param {Function} reaction
+   * @returns {Promise<void>}
+   */
+  async react(reaction) {
+    try {
+      await reaction();
+    } catch (error) {
+      this.robot.logger.warn(`Could not update the processing reaction: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ProcessingIndicator
+}
@@ -0,0 +1,145 @@
+import http from 'node:http'
+import https from 'node:https'
+
+class ResponseUrlSpentError extends Error {
+  /**
+   * Thrown when a `response_url` can't be used anymore, before anything is posted to it
+   *
+   * @constructor
+   * @param {string} reason - `used` when all uses are gone, `expired` when the URL is too old
+   * @param {string} message
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = "ResponseUrlSpentError";
+    this.reason = reason;
+  }
+}
+
+class ResponseUrlClient {
+  // Slack accepts this many posts to one response URL
+  static MAX_USES = 5;
+  // and only for this long after the payload was sent
+  static LIFETIME_MS = 30 * 60 * 1000;
+  // Give up on a post that takes longer than this
+  static TIMEOUT_MS = 10 * 1000;
+
+  /**
+   * Posts follow-up responses to the `response_url` of a slash command or interactive payload, and keeps track of
+   * how many uses are left and when the URL expires so a spent URL fails with a clear error instead of a bare HTTP 404.
+   *
+   * @constructor
+   * @param {string} url - the `response_url` from the payload
+   * @param {Object} [options]
+   * @param {number} [options.issuedAt] - when the payload was received, in milliseconds since the epoch
+   * @param {number} [options.maxUses]
+   * @param {number} [options.lifetimeMs]
+   * @param {http.Agent} [options.agent] - the agent to post through, e.g. `robot.config.agent` for a proxy
+   * @param {number} [options.timeoutMs] - how long to wait for Slack to answer a post
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.issuedAt = options.issuedAt ?? Date.now();
+    this.maxUses = options.maxUses ?? ResponseUrlClient.MAX_USES;
+    this.lifetimeMs = options.lifetimeMs ?? ResponseUrlClient.LIFETIME_MS;
+    this.agent = options.agent;
+    this.timeoutMs = options.timeoutMs ?? ResponseUrlClient.TIMEOUT_MS;
+    this.uses = 0;
+    this.spent = null;
+  }
+
+  /**
+   * @public
+   * @returns {number} how many more times the URL can be posted to
+   */
+  get remainingUses() {
+    return this.spent === "used" ? 0 : Math.max(0, this.maxUses - this.uses);
+  }
+
+  /**
+   * @public
+   * @returns {number} when the URL expires, in milliseconds since the epoch
+   */
+  get expiresAt() {
+    return this.issuedAt + this.lifetimeMs;
+  }
+
+  /**
+   * @public
+   * @param {number} [now] - the current time in milliseconds
+   * @returns {boolean} true if the URL can still be posted to
+   */
+  isUsable(now = Date.now()) {
+    return this.spent == null && this.remainingUses > 0 && now < this.expiresAt;
+  }
+
+  /**
+   * Post a message to the URL
+   *
+   * @public
+   * @param {string|Object} message - a string, or a message with `text`, `blocks`, `response_type`,
+   * `replace_original` or `delete_original`
+   * @returns {Promise<number>} how many uses are left
+   * @throws {ResponseUrlSpentError} when the URL was used up or has expired
+   */
+  async respond(message) {
+    this.checkUsable();
+    const body = typeof message === "string" ? { text: message } : message;
+    // Slack counts the attempt whether or not it succeeds
+    this.uses++;
+    const { status, text } = await this.post(JSON.stringify(body));
+    if (/\b(used_url|expired_url)\b/.test(text)) {
+      this.spent = text.includes("used_url") ? "used" : "expired";
+      this.checkUsable();
+    }
+    if (status < 200 || status >= 300) {
+      throw new Error(`Posting to the response URL failed with HTTP ${status}: ${text}`);
+    }
+    return this.remainingUses;
+  }
+
+  /**
+   * @private
+   * @param {string} payload - the JSON body
+   * @returns {Promise<{status: number, text: string}>}
+   * @throws {Error} when the request fails or Slack doesn't answer within `timeoutMs`
+   */
+  post(payload) {
+    const url = new URL(this.url);
+    const signal = AbortSignal.timeout(this.timeoutMs);
+    return new Promise((resolve, reject) => {
+      const fail = error => reject(signal.aborted ? new Error(`Posting to the response URL timed out after ${this.timeoutMs} ms`) : error);
+      const request = (url.protocol === "http:" ? http : https).request(url, {
+        method: "POST",
+        agent: this.agent,
+        headers: { "content-type": "application/json", "content-length": Buffer.byteLength(payload) },
+        signal
+      }, response => {
+        const chunks = [];
+        response.on("data", chunk => chunks.push(chunk));
+        response.on("end", () => resolve({ status: response.statusCode, text: Buffer.concat(chunks).toString("utf8") }));
+        response.on("error", fail);
+      });
+      request.on("error", fail);
+      request.end(payload);
+    });
+  }
+
+  /**
+   * @private
+   * @throws {ResponseUrlSpentError}
+   */
+  checkUsable() {
+    if (this.spent === "used" || this.remainingUses === 0) {
+      throw new ResponseUrlSpentError("used", `The response URL has already been used ${this.maxUses} times; post to the conversation instead`);
+    }
+    if (this.spent === "expired" || Date.now() >= this.expiresAt) {
+      throw new ResponseUrlSpentError("expired", `The response URL expired at ${new Date(this.expiresAt).toISOString()}; post to the conversation instead`);
+    }
+  }
+}
+
+export {
+  ResponseUrlSpentError,
+  ResponseUrlClient
+}
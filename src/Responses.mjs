@@ -0,0 +1,431 @@
+import { Response } from 'hubot'
+import { ResponseUrlClient } from './ResponseUrlClient.mjs'
+
+/**
+ * @private
+ * @param {string|Object} message - a string, or a message object with `text` and/or `blocks`
+ * @returns {Object}
+ */
+function toMessageBody(message) {
+  return typeof message === "string" ? { text: message } : { ...message };
+}
+
+class InteractiveResponse extends Response {
+  /**
+   * Base for responses to payloads that carry a `response_url`
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {Message} message - a message with a `response_url`
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * Answer only to the user who took the action
+   *
+   * @public
+   * @param {...(string|Object)} messages
+   * @returns {Promise<void>}
+   */
+  async sendEphemeral(...messages) {
+    for (const message of messages) {
+      await this.respond({ ...toMessageBody(message), response_type: "ephemeral" });
+    }
+  }
+
+  /**
+   * Open a modal with the `trigger_id` of the payload, which expires 3 seconds after the user's action
+   *
+   * @public
+   * @param {Object} view - the view
+   * @returns {Promise<Object>} the `views.open` response
+   */
+  async openView(view) {
+    return this.robot.adapter.openView(this.message.trigger_id, view, this.message.authorization);
+  }
+
+  /**
+   * Push a view onto the stack of the open modal, with the `trigger_id` of the payload
+   *
+   * @public
+   * @param {Object} view - the view
+   * @returns {Promise<Object>} the `views.push` response
+   */
+  async pushView(view) {
+    return this.robot.adapter.pushView(this.message.trigger_id, view, this.message.authorization);
+  }
+
+  /**
+   * The client for the payload's `response_url`. It's kept on the message, so every response to the same payload
+   * shares its remaining uses.
+   *
+   * @public
+   * @returns {ResponseUrlClient|null} null when the payload has no `response_url`
+   */
+  get responseUrl() {
+    const url = this.message.response_url;
+    if (!url) return null;
+    if (this.message.responseUrlClient?.url !== url) {
+      this.message.responseUrlClient = new ResponseUrlClient(url, { issuedAt: this.message.receivedAt, agent: this.robot.config?.agent });
+    }
+    return this.message.responseUrlClient;
+  }
+
+  /**
+   * Post to the `response_url`
+   *
+   * @public
+   * @param {Object} body - the message, with `response_type`, `replace_original` or `delete_original`
+   * @returns {Promise<void>}
+   * @throws {ResponseUrlSpentError} when the URL was used up or has expired
+   */
+  async respond(body) {
+    if (!this.responseUrl) {
+      throw new Error(`There is no response_url to respond to ${this.message.constructor.name} with`);
+    }
+    await this.responseUrl.respond(body);
+  }
+}
+
+class SlashCommandResponse extends InteractiveResponse {
+  /**
+   * The response passed to `robot.slashCommand()` listeners. `send()` answers in the channel, `sendEphemeral()` only to
+   * the user who ran the command. Both go through the command's `response_url`, so they work in conversations the bot
+   * isn't a member of. The first answer is sent as the acknowledgement when it's sent in time.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {SlashCommandMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * Answer in the channel, visible to everyone
+   *
+   * @public
+   * @param {...(string|Object)} messages
+   * @returns {Promise<void>}
+   */
+  async send(...messages) {
+    for (const message of messages) {
+      await this.respond({ ...toMessageBody(message), response_type: "in_channel" });
+    }
+  }
+
+  /**
+   * Send a response, as the acknowledgement if the command hasn't been acknowledged yet and otherwise to the
+   * `response_url`
+   *
+   * @public
+   * @param {Object} body - the message, including `response_type`
+   * @returns {Promise<void>}
+   */
+  async respond(body) {
+    if (await this.ack(body)) return;
+    await super.respond(body);
+  }
+}
+
+class BlockActionResponse extends InteractiveResponse {
+  /**
+   * The response passed to `robot.onAction()` listeners. `update()` replaces the message the action was taken in,
+   * `deleteOriginal()` removes it and `sendEphemeral()` answers only to the user. `send()` and `reply()` post to the
+   * conversation as usual, in the same thread.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {BlockActionMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * Replace the message the action was taken in
+   *
+   * @public
+   * @param {string|Object} message - the new message
+   * @returns {Promise<void>}
+   */
+  async update(message) {
+    await this.respond({ ...toMessageBody(message), replace_original: true });
+  }
+
+  /**
+   * Delete the message the action was taken in
+   *
+   * @public
+   * @returns {Promise<void>}
+   */
+  async deleteOriginal() {
+    await this.respond({ delete_original: true });
+  }
+}
+
+class ViewSubmissionResponse extends InteractiveResponse {
+  /**
+   * The response passed to `robot.onViewSubmission()` listeners. A submission is answered with the acknowledgement:
+   * show `errors()` next to fields, `close()` the modal, or `update()` or `push()` a view. When the listener does none of
+   * these, the current view closes. Listeners can also return `{ errors }` or a `response_action` payload.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {ViewSubmissionMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * Keep the modal open and show an error under each field
+   *
+   * @public
+   * @param {Object<string, string>} errors - error messages keyed by the `block_id` of the input
+   * @returns {Promise<boolean>} false if it was too late to answer
+   */
+  async errors(errors) {
+    return this.ack({ response_action: "errors", errors });
+  }
+
+  /**
+   * Close the whole modal, including views below the current one
+   *
+   * @public
+   * @returns {Promise<boolean>} false if it was too late to answer
+   */
+  async close() {
+    return this.ack({ response_action: "clear" });
+  }
+
+  /**
+   * Replace the current view
+   *
+   * @public
+   * @param {Object} view
+   * @returns {Promise<boolean>} false if it was too late to answer
+   */
+  async update(view) {
+    return this.ack({ response_action: "update", view });
+  }
+
+  /**
+   * Push a view on top of the current one
+   *
+   * @public
+   * @param {Object} view
+   * @returns {Promise<boolean>} false if it was too late to answer
+   */
+  async push(view) {
+    return this.ack({ response_action: "push", view });
+  }
+
+  /**
+   * Answer with what a listener returned, if it returned an answer
+   *
+   * @private
+   * @param {*} result - the listener's return value
+   */
+  async answerWith(result) {
+    if (result?.response_action != null) {
+      await this.ack(result);
+    } else if (result?.errors != null) {
+      await this.errors(result.errors);
+    }
+  }
+}
+
+class AppHomeResponse extends Response {
+  /**
+   * The response passed to `robot.onAppHomeOpened()` listeners
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {AppHomeOpenedMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * Publish the user's Home view
+   *
+   * @public
+   * @param {Object} view - a view of type `home`
+   * @returns {Promise<Object>} the `views.publish` response
+   */
+  async publish(view) {
+    return this.robot.adapter.publishHome(this.message.user.id, view, this.message.authorization);
+  }
+}
+
+class OptionsResponse extends Response {
+  // Answer before the envelope's acknowledgement times out
+  static TIMEOUT_MS = 2000;
+  // Slack shows at most 100 options
+  static MAX_OPTIONS = 100;
+
+  /**
+   * The response passed to `robot.onOptions()` listeners. Options are sent in the acknowledgement, so they have to be
+   * ready within `TIMEOUT_MS`; otherwise the menu gets an empty list.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {BlockSuggestionMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+  }
+
+  /**
+   * @private
+   * @param {string|Object} text
+   * @returns {Object} a plain_text text object
+   */
+  static plainText(text) {
+    return typeof text === "string" ? { type: "plain_text", text } : text;
+  }
+
+  /**
+   * @private
+   * @param {string|Object} option - a string, used as both text and value, or an option with `text` and `value`
+   * @returns {Object} a Block Kit option
+   */
+  static toOption(option) {
+    if (typeof option === "string") {
+      return { text: OptionsResponse.plainText(option), value: option };
+    }
+    return { ...option, text: OptionsResponse.plainText(option.text), value: option.value ?? option.text };
+  }
+
+  /**
+   * Build the ack payload from what a listener returned
+   *
+   * @public
+   * @param {Array|Object} result - an array of options, `{ options }` or `{ option_groups: [{ label, options }] }`
+   * @returns {Object} `{ options }` or `{ option_groups }`
+   */
+  static build(result) {
+    if (result?.option_groups != null) {
+      return {
+        option_groups: result.option_groups.map(group => ({
+          label: OptionsResponse.plainText(group.label),
+          options: group.options.slice(0, OptionsResponse.MAX_OPTIONS).map(OptionsResponse.toOption)
+        })).slice(0, OptionsResponse.MAX_OPTIONS)
+      };
+    }
+    const options = Array.isArray(result) ? result : (result?.options ?? []);
+    return { options: options.slice(0, OptionsResponse.MAX_OPTIONS).map(OptionsResponse.toOption) };
+  }
+
+  /**
+   * Load the options and acknowledge with them, or with an empty list if loading fails or takes too long
+   *
+   * @public
+   * @param {Function} load - returns (a promise of) the options
+   * @returns {Promise<Object>} the payload that was sent
+   */
+  async answer(load) {
+    const timedOut = Symbol("timedOut");
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(timedOut), OptionsResponse.TIMEOUT_MS);
+    });
+    let payload;
+    try {
+      const result = await Promise.race([load(), timeout]);
+      if (result === timedOut) {
+        this.robot.logger.warn(`Options for ${this.message.action_id} took longer than ${OptionsResponse.TIMEOUT_MS}ms, answering with an empty list`);
+        payload = { options: [] };
+      } else {
+        payload = OptionsResponse.build(result);
+      }
+    } catch (error) {
+      this.robot.logger.error(error, `Error loading options for ${this.message.action_id}: ${error.message}`);
+      payload = { options: [] };
+    } finally {
+      clearTimeout(timer);
+    }
+    await this.ack(payload);
+    return payload;
+  }
+}
+
+class WorkflowFunctionResponse extends Response {
+  /**
+   * The response passed to `robot.onWorkflowFunction()` listeners. The run is completed with what the listener
+   * returns, or failed with what it throws, unless the listener called `complete()` or `fail()` itself.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {WorkflowFunctionMessage} message
+   * @param {*} match
+   */
+  constructor(robot, message, match) {
+    super(robot, message, match);
+    this.completed = false;
+  }
+
+  /**
+   * Complete the run with the step's outputs
+   *
+   * @public
+   * @param {Object} [outputs] - keyed by output name
+   * @returns {Promise<Object>} the `functions.completeSuccess` response
+   */
+  async complete(outputs) {
+    this.completed = true;
+    return this.robot.adapter.completeFunction(this.message, outputs);
+  }
+
+  /**
+   * Fail the run
+   *
+   * @public
+   * @param {string|Error} error - shown to whoever runs the workflow
+   * @returns {Promise<Object>} the `functions.completeError` response
+   */
+  async fail(error) {
+    this.completed = true;
+    return this.robot.adapter.failFunction(this.message, error);
+  }
+
+  /**
+   * Run a listener and complete or fail the run with its result
+   *
+   * @private
+   * @param {Function} handler - returns (a promise of) the outputs
+   * @returns {Promise<void>}
+   */
+  async run(handler) {
+    this.message.handled = true;
+    let outputs;
+    try {
+      outputs = await handler();
+    } catch (error) {
+      this.robot.logger.error(error, `Workflow step ${this.message.callback_id} failed: ${error.message}`);
+      if (!this.completed) await this.fail(error);
+      return;
+    }
+    if (!this.completed) await this.complete(outputs);
+  }
+}
+
+export {
+  InteractiveResponse,
+  SlashCommandResponse,
+  BlockActionResponse,
+  ViewSubmissionResponse,
+  AppHomeResponse,
+  OptionsResponse,
+  WorkflowFunctionResponse
+}
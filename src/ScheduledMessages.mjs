@@ -0,0 +1,94 @@
+/**
+ * A message scheduled with `chat.scheduleMessage`
+ *
+ * @typedef {Object} ScheduledMessage
+ * @property {string} id - the `scheduled_message_id`
+ * @property {string} channel - the conversation it will be posted in
+ * @property {number} postAt - when it will be posted, in milliseconds since the epoch
+ * @property {string} [thread_ts] - the thread it will be posted in
+ * @property {string} [text]
+ * @property {InstallationQuery} [authorization] - the workspace it was scheduled in
+ */
+
+class ScheduledMessageStore {
+  static BRAIN_KEY = "slack.scheduledMessages";
+
+  /**
+   * Keeps the messages the bot scheduled in the Hubot brain, so scripts can list and cancel them after a restart.
+   * Messages are forgotten once their time has passed, because Slack has posted them by then.
+   *
+   * @constructor
+   * @param {Brain} brain - the Hubot brain
+   */
+  constructor(brain) {
+    this.brain = brain;
+  }
+
+  /**
+   * @public
+   * @param {ScheduledMessage} message
+   */
+  add(message) {
+    this.save([...this.all(), { ...message }]);
+  }
+
+  /**
+   * @public
+   * @param {string} id - the `scheduled_message_id`
+   * @returns {ScheduledMessage|undefined}
+   */
+  get(id) {
+    return this.all().find(message => message.id === id);
+  }
+
+  /**
+   * @public
+   * @param {string} id - the `scheduled_message_id`
+   * @returns {boolean} true if the message was known
+   */
+  remove(id) {
+    const messages = this.all();
+    const remaining = messages.filter(message => message.id !== id);
+    this.save(remaining);
+    return remaining.length !== messages.length;
+  }
+
+  /**
+   * The messages that haven't been posted yet, soonest first
+   *
+   * @public
+   * @param {Object} [filter]
+   * @param {string} [filter.channel] - only messages for this conversation
+   * @param {number} [now] - the current time in milliseconds
+   * @returns {ScheduledMessage[]}
+   */
+  list({ channel } = {}, now = Date.now()) {
+    const pending = this.all().filter(message => message.postAt > now);
+    if (pending.length !== this.all().length) {
+      this.save(pending);
+    }
+    return pending
+      .filter(message => channel == null || message.channel === channel)
+      .sort((a, b) => a.postAt - b.postAt);
+  }
+
+  /**
+   * @private
+   * @returns {ScheduledMessage[]}
+   */
+  all() {
+    return this.brain.get(ScheduledMessageStore.BRAIN_KEY) ?? [];
+  }
+
+  /**
+   * @private
+   * @param {ScheduledMessage[]} messages
+   */
+  save(messages) {
+    this.brain.set(ScheduledMessageStore.BRAIN_KEY, messages);
+  }
+}
+
+export {
+  ScheduledMessageStore
+}
@@ -0,0 +1,99 @@
+/**
+ * The bot token scopes each adapter feature needs. Every entry in `scopes` is required; an array entry means any one
+ * of those scopes will do. `events` lists the event subscriptions that only work with those scopes.
+ */
+const FEATURES = {
+  core: {
+    description: "receiving channel messages, replying and scheduling messages",
+    scopes: ["chat:write", ["channels:history", "groups:history", "mpim:history"]],
+    events: ["message.channels", "message.groups", "message.mpim"],
+    required: true
+  },
+  users: {
+    description: "user sync and looking up users who send messages",
+    scopes: ["users:read"],
+    events: ["user_change"]
+  },
+  topics: {
+    description: "setting conversation topics",
+    scopes: [["channels:write.topic", "groups:write.topic", "channels:manage", "groups:write"]],
+    events: []
+  },
+  reactions: {
+    description: "receiving reactions",
+    scopes: ["reactions:read"],
+    events: ["reaction_added", "reaction_removed"]
+  },
+  files: {
+    description: "receiving shared files",
+    scopes: ["files:read"],
+    events: ["file_shared"]
+  },
+  dms: {
+    description: "direct messages",
+    scopes: ["im:history"],
+    events: ["message.im"]
+  },
+  reacting: {
+    description: "adding reactions, including the processing indicator",
+    scopes: ["reactions:write"],
+    events: []
+  },
+  snippets: {
+    description: "uploading long messages as snippets",
+    scopes: ["files:write"],
+    events: []
+  },
+  ephemeralDms: {
+    description: "sending ephemeral messages as DMs when Slack refuses them",
+    scopes: ["im:write"],
+    events: []
+  }
+};
+
+/**
+ * Compare the scopes granted to the bot token against what each feature needs
+ *
+ * @public
+ * @param {string[]} granted - the granted scopes, as in `response_metadata.scopes` of an `auth.test` response
+ * @param {string[]} [features] - the features to check, defaults to all of them
+ * @returns {{ missing: Array<{ feature: string, description: string, scopes: string[], events: string[], required: boolean }>, disabled: string[] }}
+ */
+function checkScopes(granted, features = Object.keys(FEATURES)) {
+  const grantedScopes = new Set(granted);
+  const missing = [];
+  for (const feature of features) {
+    const spec = FEATURES[feature];
+    const missingScopes = spec.scopes
+      .filter(scope => Array.isArray(scope) ? !scope.some(s => grantedScopes.has(s)) : !grantedScopes.has(scope))
+      .map(scope => Array.isArray(scope) ? scope.join(" or ") : scope);
+    if (missingScopes.length > 0) {
+      missing.push({ feature, description: spec.description, scopes: missingScopes, events: spec.events, required: spec.required ?? false });
+    }
+  }
+  return {
+    missing,
+    disabled: missing.filter(entry => !entry.required).map(entry => entry.feature)
+  };
+}
+
+/**
+ * Turn a report from `checkScopes()` into log lines that say what to fix
+ *
+ * @public
+ * @param {Object} report - as returned by `checkScopes()`
+ * @returns {string[]}
+ */
+function formatScopeReport(report) {
+  return report.missing.map(entry => {
+    const consequence = entry.required ? "will fail" : "is turned off";
+    const events = entry.events.length > 0 ? ` and subscribe to ${entry.events.join(", ")}` : "";
+    return `Missing Slack scope ${entry.scopes.join(", ")}: ${entry.description} ${consequence}. Add the scope to your app's Bot Token Scopes${events}, then reinstall the app.`;
+  });
+}
+
+export {
+  FEATURES,
+  checkScopes,
+  formatScopeReport
+}
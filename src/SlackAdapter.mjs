@@ -7,6 +7,8 @@ export class SlackIdentity {
         this.installed_team_id = obj.installed_team_id
         this.team_id = obj.team_id
         this.team_name = obj.team_name
+        this.enterprise_id = obj.enterprise_id
+        this.is_enterprise_install = obj.is_enterprise_install ?? false
         this.user_id = obj.user_id
         this.user_token = obj.user_token
         this.bot_token = obj.bot_token
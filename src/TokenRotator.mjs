@@ -0,0 +1,290 @@
+import { WebClient } from '@slack/web-api'
+
+/**
+ * A bot token and the refresh token that replaces it
+ *
+ * @typedef {Object} TokenPair
+ * @property {string} token - the `xoxe.xoxb-` bot token
+ * @property {string} refreshToken - the `xoxe-` refresh token
+ * @property {number} [expiresAt] - when the bot token expires, in milliseconds since the epoch
+ */
+
+class TokenStore {
+  /**
+   * Interface for persisting the rotating token pair between restarts. Extend this class (or implement the same
+   * methods) to keep tokens somewhere other than the Hubot brain.
+   *
+   * @constructor
+   */
+  constructor() {}
+
+  /**
+   * Resolves once `fetchTokens()` can see the stored pair. Stores that are always ready don't need to override this.
+   *
+   * @public
+   * @returns {Promise<void>}
+   */
+  async ready() {}
+
+  /**
+   * @public
+   * @returns {Promise<TokenPair|undefined>}
+   */
+  async fetchTokens() {
+    throw new Error(`${this.constructor.name}#fetchTokens() is not implemented`);
+  }
+
+  /**
+   * @public
+   * @param {TokenPair} tokens
+   * @returns {Promise<void>}
+   */
+  async storeTokens(tokens) {
+    throw new Error(`${this.constructor.name}#storeTokens() is not implemented`);
+  }
+}
+
+class BrainTokenStore extends TokenStore {
+  static BRAIN_KEY = "slack.tokens";
+  // Stop waiting for brain storage after this long, because a brain without storage, or storage without a pair, never has one
+  static LOAD_TIMEOUT_MS = 10 * 1000;
+
+  /**
+   * Keeps the rotating token pair in the Hubot brain. Hubot connects the brain to its storage only after the adapter
+   * has connected, so the stored pair isn't there when the adapter starts; `ready()` waits for it, or until
+   * `loadTimeoutMs` has passed when the storage has no pair yet. When the storage
+   * loads an older pair over one that was refreshed in the meantime, the newer pair is written back.
+   *
+   * @constructor
+   * @param {Brain} brain - the Hubot brain
+   * @param {Object} [options]
+   * @param {number} [options.loadTimeoutMs] - how long `ready()` waits for the brain to load
+   */
+  constructor(brain, options = {}) {
+    super();
+    this.brain = brain;
+    this.loadTimeoutMs = options.loadTimeoutMs ?? BrainTokenStore.LOAD_TIMEOUT_MS;
+    // The pair this process stored last
+    this.latest = null;
+    // The brain also emits `loaded` whenever any key is set, so wait until it holds the tokens
+    this.loaded = new Promise(resolve => {
+      const loaded = data => {
+        if (data?._private?.[BrainTokenStore.BRAIN_KEY] == null) return;
+        this.brain.removeListener("loaded", loaded);
+        resolve();
+      };
+      this.brain.on("loaded", loaded);
+    });
+    this.brain.on("loaded", () => this.restoreLatest());
+  }
+
+  async ready() {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, this.loadTimeoutMs);
+    });
+    await Promise.race([this.loaded, timeout]);
+    clearTimeout(timer);
+  }
+
+  async fetchTokens() {
+    return this.brain.get(BrainTokenStore.BRAIN_KEY) ?? undefined;
+  }
+
+  async storeTokens(tokens) {
+    this.latest = { ...tokens };
+    this.brain.set(BrainTokenStore.BRAIN_KEY, { ...tokens });
+  }
+
+  /**
+   * @private
+   */
+  restoreLatest() {
+    const stored = this.brain.get(BrainTokenStore.BRAIN_KEY);
+    if (this.latest && (stored?.expiresAt ?? 0) < this.latest.expiresAt) {
+      this.brain.set(BrainTokenStore.BRAIN_KEY, { ...this.latest });
+    }
+  }
+}
+
+class TokenRotator {
+  // Refresh this long before the token expires
+  static REFRESH_MARGIN_MS = 10 * 60 * 1000;
+  // Wait this long before trying again when a refresh fails
+  static RETRY_DELAY_MS = 60 * 1000;
+
+  /**
+   * Keeps an expiring bot token fresh. The token is refreshed with `oauth.v2.access` before it expires, the new pair
+   * is persisted in the token store, and the new token is swapped into the WebClients that use it.
+   *
+   * @constructor
+   * @param {Robot} robot
+   * @param {Object} options
+   * @param {string} options.clientId - the Slack app's client ID
+   * @param {string} options.clientSecret - the Slack app's client secret
+   * @param {TokenPair} options.tokens - the configured token pair, used until a newer one is found in the store
+   * @param {TokenStore} options.store - where the latest token pair is persisted
+   * @param {WebClient} [options.oauth] - the client to call `oauth.v2.access` with, which doesn't need a token
+   */
+  constructor(robot, options) {
+    this.robot = robot;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.tokens = { ...options.tokens };
+    this.store = options.store;
+    this.oauth = options.oauth ?? new WebClient(undefined, { agent: robot.config?.agent ?? undefined, logLevel: 'error' });
+    this.webClients = new Set();
+    this.timer = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * The current bot token
+   * @public
+   * @returns {string}
+   */
+  get token() {
+    return this.tokens.token;
+  }
+
+  /**
+   * Keep the token of a WebClient in sync with the rotated token
+   *
+   * @public
+   * @param {WebClient} web
+   */
+  attach(web) {
+    this.webClients.add(web);
+    TokenRotator.setToken(web, this.tokens.token);
+  }
+
+  /**
+   * Swap the token on a live WebClient. WebClient bakes the Authorization header into its axios defaults at
+   * construction, and axios reads the defaults when a request is sent, so queued and retried requests pick up the new
+   * token. Requests already on the wire finish with the old token, which Slack accepts until it expires.
+   *
+   * @private
+   * @param {WebClient} web
+   * @param {string} token
+   */
+  static setToken(web, token) {
+    web.token = token;
+    if (web.axios?.defaults?.headers) {
+      web.axios.defaults.headers.Authorization = `Bearer ${token}`;
+    }
+  }
+
+  /**
+   * Load the latest token pair from the store, once it's ready, and schedule the next refresh. Refreshes right away
+   * when the expiry of the token isn't known or is already close.
+   *
+   * @public
+   * @returns {Promise<void>}
+   */
+  async start() {
+    try {
+      await this.store.ready?.();
+      const stored = await this.store.fetchTokens();
+      if (stored?.token && stored?.refreshToken) {
+        this.tokens = { ...stored };
+        this.robot.logger.debug("Using the bot token from the token store");
+      }
+    } catch (error) {
+      this.robot.logger.error(error, `Error fetching the bot token from the token store: ${error.message}`);
+    }
+    for (const web of this.webClients) {
+      TokenRotator.setToken(web, this.tokens.token);
+    }
+    if (this.tokens.expiresAt == null || this.delayUntilRefresh() === 0) {
+      await this.refresh();
+    } else {
+      this.schedule(this.delayUntilRefresh());
+    }
+  }
+
+  /**
+   * Stop refreshing
+   * @public
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @private
+   * @returns {number} milliseconds until the token should be refreshed
+   */
+  delayUntilRefresh() {
+    return Math.max(0, this.tokens.expiresAt - TokenRotator.REFRESH_MARGIN_MS - Date.now());
+  }
+
+  /**
+   * @private
+   * @param {number} delay - milliseconds
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.refresh(), delay);
+    // Don't keep the process alive just to refresh a token
+    this.timer.unref?.();
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair. Concurrent calls share one request. On failure the error is
+   * logged and the refresh is tried again later; the current token keeps being used in the meantime.
+   *
+   * @public
+   * @returns {Promise<TokenPair|undefined>} the new token pair, or undefined if the refresh failed
+   */
+  async refresh() {
+    if (this.refreshing) return this.refreshing;
+    this.refreshing = this.exchange().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<TokenPair|undefined>}
+   */
+  async exchange() {
+    let response;
+    try {
+      response = await this.oauth.oauth.v2.access({
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        grant_type: "refresh_token",
+        refresh_token: this.tokens.refreshToken
+      });
+    } catch (error) {
+      this.robot.logger.error(error, `Error refreshing the bot token, trying again in ${TokenRotator.RETRY_DELAY_MS / 1000}s: ${error.message}`);
+      this.schedule(TokenRotator.RETRY_DELAY_MS);
+      return;
+    }
+    this.tokens = {
+      token: response.access_token,
+      refreshToken: response.refresh_token ?? this.tokens.refreshToken,
+      expiresAt: Date.now() + response.expires_in * 1000
+    };
+    for (const web of this.webClients) {
+      TokenRotator.setToken(web, this.tokens.token);
+    }
+    try {
+      await this.store.storeTokens(this.tokens);
+    } catch (error) {
+      this.robot.logger.error(error, `Error storing the refreshed bot token: ${error.message}`);
+    }
+    this.robot.logger.info(`Refreshed the bot token, it expires at ${new Date(this.tokens.expiresAt).toISOString()}`);
+    this.robot.emit("slack:token_rotated", { expiresAt: this.tokens.expiresAt });
+    this.schedule(this.delayUntilRefresh());
+    return this.tokens;
+  }
+}
+
+export {
+  TokenStore,
+  BrainTokenStore,
+  TokenRotator
+}
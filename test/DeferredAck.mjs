@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { DeferredAck } from '../src/DeferredAck.mjs'
+
+describe('DeferredAck', () => {
+  it('Should send the first ack with its payload', async () => {
+    const acks = []
+    const ack = new DeferredAck(async payload => acks.push(payload))
+    assert.equal(await ack.ack({ response_action: 'clear' }), true)
+    assert.equal(await ack.ack({ response_action: 'errors' }), false)
+    assert.deepEqual(acks, [{ response_action: 'clear' }])
+  })
+
+  it('Should ack with an empty payload when the timeout runs out', async () => {
+    const acks = []
+    const warnings = []
+    const ack = new DeferredAck(async payload => acks.push(payload), { timeoutMs: 5, logger: { warn: message => warnings.push(message) } })
+    ack.start()
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.deepEqual(acks, [undefined])
+    assert.equal(warnings.length, 1)
+  })
+
+  it('Should log when the automatic ack fails instead of rejecting unhandled', async () => {
+    const errors = []
+    const ack = new DeferredAck(async () => { throw new Error('socket is not open') }, { timeoutMs: 5, logger: { warn () {}, error: (error, message) => errors.push(message) } })
+    ack.start()
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(errors.length, 1)
+    assert.match(errors[0], /socket is not open/)
+  })
+
+  it('Should ack with the fallback payload', async () => {
+    const acks = []
+    const ack = new DeferredAck(async payload => acks.push(payload), { fallback: { options: [] } })
+    ack.start()
+    await ack.settle()
+    assert.deepEqual(acks, [{ options: [] }])
+  })
+
+  it('Should warn when a payload comes too late', async () => {
+    const warnings = []
+    const ack = new DeferredAck(async () => {}, { logger: { warn: message => warnings.push(message) } })
+    await ack.settle()
+    assert.equal(await ack.ack({ text: 'late' }), false)
+    assert.match(warnings[0], /already acknowledged/)
+  })
+
+  it('Should ack once settled if nothing else did', async () => {
+    let acks = 0
+    const ack = new DeferredAck(async () => acks++)
+    ack.start()
+    await ack.settle()
+    await ack.settle()
+    assert.equal(acks, 1)
+  })
+
+  it('Should do nothing without an ack function', async () => {
+    const ack = new DeferredAck(undefined)
+    assert.equal(ack.acked, true)
+    assert.equal(await ack.ack(), false)
+  })
+})
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventDeduplicator } from '../src/EventDeduplicator.mjs'
+
+describe('EventDeduplicator', () => {
+  it('Should key on event_id', () => {
+    assert.equal(EventDeduplicator.keyFor({ body: { event_id: 'Ev123' }, event: { type: 'message', channel: 'C1', ts: '1.1' } }), 'Ev123')
+  })
+
+  it('Should fall back to the event type, channel and ts', () => {
+    assert.equal(EventDeduplicator.keyFor({ body: {}, event: { type: 'message', channel: 'C1', ts: '1.1' } }), 'message:C1:1.1')
+  })
+
+  it('Should not key payloads it cannot identify', () => {
+    const deduplicator = new EventDeduplicator()
+    const key = EventDeduplicator.keyFor({ body: {}, event: { type: 'user_change' } })
+    assert.equal(key, null)
+    assert.equal(deduplicator.isDuplicate(key), false)
+    assert.equal(deduplicator.isDuplicate(key), false)
+  })
+
+  it('Should report repeats within the window and count them', () => {
+    const deduplicator = new EventDeduplicator({ windowMs: 1000 })
+    assert.equal(deduplicator.isDuplicate('Ev1', 0), false)
+    assert.equal(deduplicator.isDuplicate('Ev1', 500), true)
+    assert.equal(deduplicator.isDuplicate('Ev1', 999), true)
+    assert.equal(deduplicator.suppressed, 2)
+  })
+
+  it('Should forget events after the window', () => {
+    const deduplicator = new EventDeduplicator({ windowMs: 1000 })
+    deduplicator.isDuplicate('Ev1', 0)
+    assert.equal(deduplicator.isDuplicate('Ev1', 1000), false)
+  })
+
+  it('Should evict the oldest events beyond the size limit', () => {
+    const deduplicator = new EventDeduplicator({ maxEntries: 2 })
+    deduplicator.isDuplicate('Ev1', 0)
+    deduplicator.isDuplicate('Ev2', 1)
+    deduplicator.isDuplicate('Ev3', 2)
+    assert.equal(deduplicator.seen.size, 2)
+    assert.equal(deduplicator.isDuplicate('Ev1', 3), false)
+    assert.equal(deduplicator.isDuplicate('Ev3', 4), true)
+  })
+})
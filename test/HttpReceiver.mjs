@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createHmac } from 'node:crypto'
+import { Robot } from 'hubot'
+import { HttpReceiver } from '../src/HttpReceiver.mjs'
+import { SlackBot } from '../src/Bot.mjs'
+
+const signingSecret = 'test-signing-secret'
+const sign = (body, timestamp = Math.floor(Date.now() / 1000)) => ({
+  'x-slack-request-timestamp': `${timestamp}`,
+  'x-slack-signature': `v0=${createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`
+})
+
+// Hubot's own Express app, so the raw body capture is exercised behind its body parsers for real.
+const startRobot = async () => {
+  process.env.EXPRESS_PORT = '0'
+  process.env.EXPRESS_BIND_ADDRESS = '127.0.0.1'
+  const robot = new Robot('Shell', false, 'hubot')
+  await robot.setupExpress()
+  robot.url = `http://127.0.0.1:${robot.server.address().port}/slack/events`
+  return robot
+}
+
+describe('HttpReceiver', () => {
+  let robot, receiver
+  beforeEach(async () => {
+    robot = await startRobot()
+    receiver = new HttpReceiver(robot, { signingSecret })
+  })
+  afterEach(async () => {
+    await receiver.disconnect()
+    await new Promise(resolve => robot.server.close(resolve))
+  })
+
+  it('Should emit connected when the endpoint is mounted', async () => {
+    let connected = false
+    receiver.on('connected', () => { connected = true })
+    await receiver.start()
+    assert.ok(connected)
+  })
+
+  it('Should capture the raw body once when started twice', async () => {
+    await receiver.start()
+    await receiver.start()
+    assert.equal(robot.server.listeners('request').filter(listener => listener === receiver.rawBodyTap).length, 1)
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.deepEqual(await response.json(), { challenge: 'abc123' })
+  })
+
+  it('Should answer url_verification challenges', async () => {
+    await receiver.start()
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.equal(response.status, 200)
+    assert.deepEqual(await response.json(), { challenge: 'abc123' })
+  })
+
+  it('Should reject requests with an invalid signature', async () => {
+    await receiver.start()
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const headers = { 'content-type': 'application/json', ...sign(body) }
+    headers['x-slack-signature'] = 'v0=deadbeef'
+    const response = await fetch(robot.url, { method: 'POST', headers, body })
+    assert.equal(response.status, 401)
+  })
+
+  it('Should reject requests with a stale timestamp', async () => {
+    await receiver.start()
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const timestamp = Math.floor(Date.now() / 1000) - HttpReceiver.MAX_REQUEST_AGE_SECONDS - 10
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body, timestamp) }, body })
+    assert.equal(response.status, 401)
+  })
+
+  it('Should emit events in the same shape as Socket Mode', async () => {
+    await receiver.start()
+    const event = { type: 'message', text: 'hi', user: 'U123', channel: 'C123', ts: '1360782804.083113' }
+    const body = JSON.stringify({ type: 'event_callback', event_id: 'Ev123', team_id: 'T123', event })
+    let received
+    receiver.on('message', async message => {
+      received = message
+      await message.ack()
+    })
+    const response = await fetch(robot.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-slack-retry-num': '1', 'x-slack-retry-reason': 'http_timeout', ...sign(body) },
+      body
+    })
+    assert.equal(response.status, 200)
+    assert.deepEqual(received.event, event)
+    assert.equal(received.body.event_id, 'Ev123')
+    assert.equal(received.envelope_id, 'Ev123')
+    assert.equal(received.retry_num, 1)
+    assert.equal(received.retry_reason, 'http_timeout')
+  })
+
+  it('Should answer events nobody is subscribed to', async () => {
+    await receiver.start()
+    const body = JSON.stringify({ type: 'event_callback', event_id: 'Ev124', event: { type: 'pin_added' } })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.equal(response.status, 200)
+  })
+
+  it('Should emit interactive payloads sent as a form', async () => {
+    await receiver.start()
+    const payload = { type: 'block_actions', trigger_id: '123.456', actions: [] }
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString()
+    let received
+    receiver.on('interactive', async message => {
+      received = message
+      await message.ack({ ok: true })
+    })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded', ...sign(body) }, body })
+    assert.deepEqual(await response.json(), { ok: true })
+    assert.deepEqual(received.body, payload)
+    assert.equal(received.accepts_response_payload, true)
+  })
+
+  it('Should answer with a 503 after disconnecting', async () => {
+    await receiver.start()
+    await receiver.disconnect()
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.equal(response.status, 503)
+  })
+
+  it('Should answer with a 503 while paused for shutdown', async () => {
+    await receiver.start()
+    receiver.pause()
+    const body = JSON.stringify({ type: 'url_verification', challenge: 'abc123' })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.equal(response.status, 503)
+  })
+
+  it('Should answer user_change events and update the user in the brain', async () => {
+    const bot = new SlackBot(robot, { botToken: 'xoxb-faketoken', receiver: 'http', signingSecret })
+    await bot.socket.start()
+    const event = { type: 'user_change', user: { id: 'U777', name: 'renamed', real_name: 'Renamed User', profile: {} } }
+    const body = JSON.stringify({ type: 'event_callback', event_id: 'Ev777', event })
+    const response = await fetch(robot.url, { method: 'POST', headers: { 'content-type': 'application/json', ...sign(body) }, body })
+    assert.equal(response.status, 200)
+    assert.equal(robot.brain.data.users.U777.name, 'renamed')
+    await bot.socket.disconnect()
+  })
+
+  it('Should be used by SlackBot when the http receiver is configured', () => {
+    const bot = new SlackBot(Object.assign(robot, { name: 'hubot' }), { botToken: 'xoxb-faketoken', receiver: 'http', signingSecret })
+    assert.ok(bot.socket instanceof HttpReceiver)
+    assert.ok(bot.client.socket instanceof HttpReceiver)
+  })
+})
@@ -0,0 +1,47 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { BrainInstallationStore } from '../src/InstallationStore.mjs'
+import { SlackIdentity } from '../src/SlackAdapter.mjs'
+
+describe('BrainInstallationStore', () => {
+  let stubs, store
+  beforeEach(async () => {
+    ({ stubs } = (await import('./Stubs.mjs')).default())
+    store = new BrainInstallationStore(stubs.robot.brain)
+  })
+
+  it('Should store and fetch a workspace installation', async () => {
+    await store.storeInstallation({ team_id: 'T123', bot_token: 'xoxb-t123', bot_user_id: 'U999' })
+    const installation = await store.fetchInstallation({ teamId: 'T123' })
+    assert.ok(installation instanceof SlackIdentity)
+    assert.equal(installation.bot_token, 'xoxb-t123')
+    assert.equal(installation.bot_user_id, 'U999')
+  })
+
+  it('Should return undefined for unknown workspaces', async () => {
+    assert.equal(await store.fetchInstallation({ teamId: 'T404' }), undefined)
+  })
+
+  it('Should fall back to an org-wide installation for workspaces in the org', async () => {
+    await store.storeInstallation({ enterprise_id: 'E123', is_enterprise_install: true, bot_token: 'xoxb-e123' })
+    const installation = await store.fetchInstallation({ teamId: 'T456', enterpriseId: 'E123' })
+    assert.equal(installation.bot_token, 'xoxb-e123')
+  })
+
+  it('Should prefer the workspace installation over the org-wide one', async () => {
+    await store.storeInstallation({ enterprise_id: 'E123', is_enterprise_install: true, bot_token: 'xoxb-e123' })
+    await store.storeInstallation({ team_id: 'T456', enterprise_id: 'E123', bot_token: 'xoxb-t456' })
+    const installation = await store.fetchInstallation({ teamId: 'T456', enterpriseId: 'E123' })
+    assert.equal(installation.bot_token, 'xoxb-t456')
+  })
+
+  it('Should delete an installation', async () => {
+    await store.storeInstallation({ team_id: 'T123', bot_token: 'xoxb-t123' })
+    await store.deleteInstallation({ teamId: 'T123' })
+    assert.equal(await store.fetchInstallation({ teamId: 'T123' }), undefined)
+  })
+
+  it('Should refuse installations without a team or enterprise', async () => {
+    await assert.rejects(() => store.storeInstallation({ bot_token: 'xoxb-nope' }))
+  })
+})
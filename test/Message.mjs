@@ -1,6 +1,6 @@
 import { describe, it, beforeEach } from 'node:test'
 import assert from 'node:assert/strict'
-import { SlackTextMessage } from '../src/Message.mjs'
+import { SlackTextMessage, BlockActionMessage, parseStateValues } from '../src/Message.mjs'
 import { TopicMessage } from 'hubot'
 import hubotSlackMock from '../index.mjs'
 import { SlackMention } from '../src/Mention.mjs'
@@ -295,3 +295,45 @@ describe('replaceLinks()', () => {
     assert.deepEqual(text, 'foo <!foobar> bar')
   })
 })
+
+describe('BlockActionMessage', () => {
+  const body = {
+    type: 'block_actions',
+    user: { id: 'U123' },
+    channel: { id: 'C123' },
+    message: { ts: '1700000000.000100', thread_ts: '1700000000.000001' },
+    response_url: 'https://hooks.slack.com/actions/T1/1/abc',
+    trigger_id: 'T.1',
+    state: {
+      values: {
+        env: { pick_env: { type: 'static_select', selected_option: { value: 'production' } } },
+        reviewers: { pick_reviewers: { type: 'multi_users_select', selected_users: ['U1', 'U2'] } },
+        note: { note_input: { type: 'plain_text_input', value: 'ship it' } }
+      }
+    }
+  }
+
+  it('Should take the value of buttons and selects', () => {
+    const user = { id: 'U123', room: 'C123' }
+    assert.equal(new BlockActionMessage(user, { action_id: 'approve', type: 'button', value: 'yes' }, body).value, 'yes')
+    assert.equal(new BlockActionMessage(user, { action_id: 'menu', type: 'overflow', selected_option: { value: 'delete' } }, body).value, 'delete')
+    assert.deepEqual(new BlockActionMessage(user, { action_id: 'multi', type: 'multi_static_select', selected_options: [{ value: 'a' }, { value: 'b' }] }, body).value, ['a', 'b'])
+  })
+
+  it('Should know where the action was taken', () => {
+    const msg = new BlockActionMessage({ id: 'U123', room: 'C123' }, { action_id: 'approve', block_id: 'b1', value: 'yes' }, body)
+    assert.equal(msg.channel_id, 'C123')
+    assert.equal(msg.message_ts, '1700000000.000100')
+    assert.equal(msg.thread_ts, '1700000000.000001')
+    assert.equal(msg.response_url, body.response_url)
+    assert.equal(msg.block_id, 'b1')
+  })
+
+  it('Should parse the state values', () => {
+    assert.deepEqual(parseStateValues(body.state), {
+      env: { pick_env: 'production' },
+      reviewers: { pick_reviewers: ['U1', 'U2'] },
+      note: { note_input: 'ship it' }
+    })
+  })
+})
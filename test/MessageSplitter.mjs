@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { splitText } from '../src/MessageSplitter.mjs'
+
+describe('splitText', () => {
+  it('Should leave short text alone', () => {
+    assert.deepEqual(splitText('hello\nworld', 100), ['hello\nworld'])
+  })
+
+  it('Should split between lines', () => {
+    const lines = Array.from({ length: 10 }, (_, i) => `line ${i}`)
+    const parts = splitText(lines.join('\n'), 20)
+    assert.deepEqual(parts, ['line 0\nline 1\nline 2', 'line 3\nline 4\nline 5', 'line 6\nline 7\nline 8', 'line 9'])
+    assert.equal(parts.join('\n'), lines.join('\n'))
+  })
+
+  it('Should cut lines that are too long for one message', () => {
+    assert.deepEqual(splitText(`short\n${'x'.repeat(25)}`, 10), ['short', 'xxxxxxxxxx', 'xxxxxxxxxx', 'xxxxx'])
+  })
+
+  it('Should close and reopen code blocks around a split', () => {
+    const text = ['Pods:', '```sh', 'pod-1 Running', 'pod-2 Running', 'pod-3 Crash', '```', 'Done'].join('\n')
+    const parts = splitText(text, 36)
+    assert.deepEqual(parts, [
+      'Pods:\n```sh\npod-1 Running\n```',
+      '```sh\npod-2 Running\npod-3 Crash\n```',
+      'Done'
+    ])
+    for (const part of parts) {
+      assert.ok(part.length <= 36)
+      assert.equal(part.split('```').length % 2, 1)
+    }
+  })
+
+  it('Should move a code block that opens right at the limit to the next message', () => {
+    const parts = splitText(`${'a'.repeat(95)}\n\`\`\`\ncode\n\`\`\``, 100)
+    assert.deepEqual(parts, ['a'.repeat(95), '```\ncode\n```'])
+  })
+
+  it('Should not end a message with an empty code block', () => {
+    const parts = splitText(`abc\n\`\`\`sh\n${'x'.repeat(30)}\n\`\`\``, 20)
+    assert.deepEqual(parts, ['abc', ...Array(3).fill(`\`\`\`sh\n${'x'.repeat(10)}\n\`\`\``)])
+    for (const part of parts) {
+      assert.ok(part.length <= 20)
+    }
+  })
+
+  it('Should not be fooled by inline code', () => {
+    const parts = splitText('run ```ls``` first\nthen\nthis is the end', 25)
+    assert.deepEqual(parts, ['run ```ls``` first\nthen', 'this is the end'])
+  })
+})
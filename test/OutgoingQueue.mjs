@@ -0,0 +1,77 @@
+import { describe, it, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { OutgoingQueue } from '../src/OutgoingQueue.mjs'
+
+describe('OutgoingQueue', () => {
+  let stubs, events
+  beforeEach(async () => {
+    ({ stubs } = (await import('./Stubs.mjs')).default())
+    events = []
+    for (const name of ['slack:rate_limited', 'slack:message_delayed', 'slack:message_dropped']) {
+      stubs.robot.on(name, details => events.push({ name, ...details }))
+    }
+  })
+
+  it('Should send the messages to a conversation in order, one interval apart', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 30 })
+    const sentAt = []
+    const start = Date.now()
+    const results = await Promise.all([1, 2, 3].map(n => queue.enqueue('C1', async () => {
+      sentAt.push(Date.now() - start)
+      return n
+    })))
+    assert.deepEqual(results, [1, 2, 3])
+    assert.ok(sentAt[1] - sentAt[0] >= 25 && sentAt[2] - sentAt[1] >= 25, `sent at ${sentAt}`)
+    assert.ok(events.some(event => event.name === 'slack:message_delayed' && event.channel === 'C1'))
+  })
+
+  it('Should not hold conversations back for each other', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 1000 })
+    const start = Date.now()
+    await Promise.all([queue.enqueue('C1', async () => {}), queue.enqueue('C2', async () => {})])
+    assert.ok(Date.now() - start < 500)
+  })
+
+  it('Should pass errors on without retrying', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 0 })
+    let attempts = 0
+    await assert.rejects(() => queue.enqueue('C1', async () => { attempts++; throw new Error('channel_not_found') }), /channel_not_found/)
+    assert.equal(attempts, 1)
+  })
+
+  it('Should hold only the rate-limited conversation back', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 0 })
+    const start = Date.now()
+    queue.rateLimited(50, 'C1')
+    const sentAt = {}
+    await Promise.all(['C1', 'C2'].map(channel => queue.enqueue(channel, async () => { sentAt[channel] = Date.now() - start })))
+    assert.ok(sentAt.C1 >= 45, `sent at ${sentAt.C1}`)
+    assert.ok(sentAt.C2 < 40, `sent at ${sentAt.C2}`)
+    assert.equal(queue.pausedUntil, 0)
+  })
+
+  it('Should hold every conversation back when the rate-limited call was for none', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 0 })
+    const start = Date.now()
+    queue.rateLimited(50)
+    await queue.enqueue('C2', async () => {})
+    assert.ok(Date.now() - start >= 45)
+    assert.deepEqual(events.find(event => event.name === 'slack:rate_limited'), { name: 'slack:rate_limited', channel: undefined, retryAfterMs: 50 })
+  })
+
+  it('Should forget a conversation once its next message could go out right away', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 20 })
+    await queue.enqueue('C1', async () => {})
+    assert.ok(queue.channels.has('C1'))
+    await new Promise(resolve => setTimeout(resolve, 40))
+    assert.ok(!queue.channels.has('C1'))
+  })
+
+  it('Should drop messages beyond the backlog', async () => {
+    const queue = new OutgoingQueue(stubs.robot, { intervalMs: 10, maxBacklog: 2 })
+    const sent = [queue.enqueue('C1', async () => 1), queue.enqueue('C1', async () => 2)]
+    await assert.rejects(() => queue.enqueue('C1', async () => 3), /already waiting/)
+    assert.deepEqual(await Promise.all(sent), [1, 2])
+    assert.deepEqual(events.find(event => event.name === 'slack:message_dropped'), { name: 'slack:message_dropped', channel: 'C1', backlog: 2 })
+  })
+})
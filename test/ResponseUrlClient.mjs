@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer, Agent } from 'node:http'
+import { ResponseUrlClient, ResponseUrlSpentError } from '../src/ResponseUrlClient.mjs'
+
+describe('ResponseUrlClient', () => {
+  let server, posts, url
+  beforeEach(async () => {
+    posts = []
+    server = createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        if (server.hang) return
+        posts.push(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+        res.statusCode = server.status ?? 200
+        res.end(server.reply ?? 'ok')
+      })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/actions/T1/1/abc`
+  })
+  afterEach(async () => {
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+  })
+
+  it('Should post messages and count the remaining uses', async () => {
+    const client = new ResponseUrlClient(url)
+    assert.equal(await client.respond('Deploying'), 4)
+    assert.equal(await client.respond({ text: 'Done', replace_original: true }), 3)
+    assert.deepEqual(posts, [{ text: 'Deploying' }, { text: 'Done', replace_original: true }])
+    assert.equal(client.remainingUses, 3)
+  })
+
+  it('Should refuse to post once the uses are gone', async () => {
+    const client = new ResponseUrlClient(url, { maxUses: 1 })
+    await client.respond('Deploying')
+    await assert.rejects(() => client.respond('Done'), err => err instanceof ResponseUrlSpentError && err.reason === 'used' && /used 1 times/.test(err.message))
+    assert.equal(posts.length, 1)
+    assert.equal(client.isUsable(), false)
+  })
+
+  it('Should refuse to post once the URL has expired', async () => {
+    const client = new ResponseUrlClient(url, { issuedAt: Date.now() - ResponseUrlClient.LIFETIME_MS })
+    await assert.rejects(() => client.respond('Done'), err => err.reason === 'expired' && /expired at/.test(err.message))
+    assert.deepEqual(posts, [])
+  })
+
+  it('Should notice when Slack says the URL is spent', async () => {
+    server.status = 404
+    server.reply = 'used_url'
+    const client = new ResponseUrlClient(url)
+    await assert.rejects(() => client.respond('Done'), ResponseUrlSpentError)
+    assert.equal(client.remainingUses, 0)
+  })
+
+  it('Should reject other failures with the HTTP status', async () => {
+    server.status = 500
+    server.reply = 'oops'
+    await assert.rejects(() => new ResponseUrlClient(url).respond('Done'), /HTTP 500: oops/)
+  })
+  it('Should post through the given agent', async () => {
+    const agent = new Agent()
+    let requests = 0
+    agent.addRequest = function (...args) {
+      requests++
+      return Agent.prototype.addRequest.apply(this, args)
+    }
+    await new ResponseUrlClient(url, { agent }).respond('Done')
+    assert.equal(requests, 1)
+    agent.destroy()
+  })
+
+  it('Should give up when Slack does not answer in time', async () => {
+    server.hang = true
+    await assert.rejects(() => new ResponseUrlClient(url, { timeoutMs: 20 }).respond('Done'), /timed out after 20 ms/)
+  })
+})
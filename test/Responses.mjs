@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { SlashCommandResponse, BlockActionResponse } from '../src/Responses.mjs'
+import { SlashCommandMessage, BlockActionMessage } from '../src/Message.mjs'
+import '../src/Extensions.mjs'
+
+// Collects what's posted to the response URL
+const startResponseUrl = async () => {
+  const posts = []
+  const server = createServer((req, res) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+      posts.push(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+      res.statusCode = server.status ?? 200
+      res.end(server.status ? 'no_text' : 'ok')
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return { server, posts, url: `http://127.0.0.1:${server.address().port}/commands/T1/1/abc` }
+}
+
+describe('SlashCommandResponse', () => {
+  let responseUrl, message, acks
+  beforeEach(async () => {
+    responseUrl = await startResponseUrl()
+    acks = []
+    message = new SlashCommandMessage({ id: 'U1', room: 'C1' }, { command: '/deploy', text: 'app@sha', channel_id: 'C1', response_url: responseUrl.url, trigger_id: 'T.1' })
+    let acked = false
+    message.ack = async payload => {
+      if (acked) return false
+      acked = true
+      acks.push(payload)
+      return true
+    }
+  })
+  afterEach(async () => {
+    await new Promise(resolve => responseUrl.server.close(resolve))
+  })
+
+  it('Should answer with the acknowledgement first', async () => {
+    const res = new SlashCommandResponse({}, message, true)
+    await res.send('Deploying app@sha')
+    assert.deepEqual(acks, [{ text: 'Deploying app@sha', response_type: 'in_channel' }])
+    assert.deepEqual(responseUrl.posts, [])
+  })
+
+  it('Should answer through the response URL once acknowledged', async () => {
+    const res = new SlashCommandResponse({}, message, true)
+    await res.ack()
+    await res.sendEphemeral('Only you can see this', { blocks: [{ type: 'divider' }] })
+    assert.deepEqual(responseUrl.posts, [
+      { text: 'Only you can see this', response_type: 'ephemeral' },
+      { blocks: [{ type: 'divider' }], response_type: 'ephemeral' }
+    ])
+  })
+
+  it('Should reject when the response URL refuses the message', async () => {
+    responseUrl.server.status = 404
+    const res = new SlashCommandResponse({}, message, true)
+    await res.ack()
+    await assert.rejects(() => res.send('too late'), /HTTP 404/)
+  })
+
+  it('Should share the response URL uses between responses to the same command', async () => {
+    await message.ack()
+    await new SlashCommandResponse({}, message, true).send('Step 1')
+    await new SlashCommandResponse({}, message, true).send('Step 2')
+    assert.equal(new SlashCommandResponse({}, message, true).responseUrl.remainingUses, 3)
+  })
+
+  it('Should post to the response URL through the robot\'s agent', () => {
+    const agent = { type: 'proxy' }
+    assert.equal(new SlashCommandResponse({ config: { agent } }, message, true).responseUrl.agent, agent)
+  })
+})
+
+describe('BlockActionResponse', () => {
+  let responseUrl, message
+  beforeEach(async () => {
+    responseUrl = await startResponseUrl()
+    message = new BlockActionMessage({ id: 'U1', room: 'C1' }, { action_id: 'approve', value: 'yes' }, { channel: { id: 'C1' }, message: { ts: '1.1' }, response_url: responseUrl.url })
+    message.ack = async () => true
+  })
+  afterEach(async () => {
+    await new Promise(resolve => responseUrl.server.close(resolve))
+  })
+
+  it('Should replace the original message', async () => {
+    await new BlockActionResponse({}, message, true).update({ text: 'Approved', blocks: [] })
+    assert.deepEqual(responseUrl.posts, [{ text: 'Approved', blocks: [], replace_original: true }])
+  })
+
+  it('Should delete the original message', async () => {
+    await new BlockActionResponse({}, message, true).deleteOriginal()
+    assert.deepEqual(responseUrl.posts, [{ delete_original: true }])
+  })
+
+  it('Should answer ephemerally through the response URL, not the acknowledgement', async () => {
+    await new BlockActionResponse({}, message, true).sendEphemeral('Thanks')
+    assert.deepEqual(responseUrl.posts, [{ text: 'Thanks', response_type: 'ephemeral' }])
+  })
+
+  it('Should refuse to respond without a response URL', async () => {
+    message.response_url = undefined
+    await assert.rejects(() => new BlockActionResponse({}, message, true).update('x'), /no response_url/)
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkScopes, formatScopeReport } from '../src/Scopes.mjs'
+
+const allScopes = ['chat:write', 'channels:history', 'users:read', 'channels:manage', 'reactions:read', 'files:read', 'im:history', 'im:write', 'reactions:write', 'files:write']
+
+describe('Checking granted scopes', () => {
+  it('Should report nothing missing when every scope is granted', () => {
+    assert.deepEqual(checkScopes(allScopes), { missing: [], disabled: [] })
+  })
+
+  it('Should accept any one of several alternative scopes', () => {
+    const report = checkScopes(allScopes.filter(scope => scope !== 'channels:history').concat('groups:history'))
+    assert.deepEqual(report.missing, [])
+  })
+
+  it('Should disable optional features that lack a scope', () => {
+    const report = checkScopes(allScopes.filter(scope => !['reactions:read', 'users:read'].includes(scope)))
+    assert.deepEqual(report.disabled, ['users', 'reactions'])
+    assert.deepEqual(report.missing.map(entry => entry.scopes), [['users:read'], ['reactions:read']])
+  })
+
+  it('Should not disable required features', () => {
+    const report = checkScopes(allScopes.filter(scope => scope !== 'chat:write'))
+    assert.equal(report.missing[0].feature, 'core')
+    assert.equal(report.missing[0].required, true)
+    assert.deepEqual(report.disabled, [])
+    assert.match(formatScopeReport(report)[0], /Missing Slack scope chat:write: receiving channel messages, replying and scheduling messages will fail/)
+  })
+
+  it('Should say which scope and event subscription to add', () => {
+    const [line] = formatScopeReport(checkScopes(allScopes.filter(scope => scope !== 'reactions:read')))
+    assert.match(line, /Missing Slack scope reactions:read: receiving reactions is turned off/)
+    assert.match(line, /subscribe to reaction_added, reaction_removed/)
+  })
+})
@@ -333,6 +333,9 @@ export default () => {
     },
     warning(message) {
       return this.log('warning', message)
+    },
+    warn(message) {
+      return this.log('warn', message)
     }
   }
   // attach a real Brain to the robot